@@ -1,810 +1,469 @@
-import React, { useState, useEffect, useRef, useCallback } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { PROFILE_FIELDS, EMPTY_PROFILE, loadProfile, saveProfile, isProfileActive, substituteTokens, applyProfile } from './profile.js';
+import { OS_OPTIONS, ALL_OS, TARGET_OS_STORAGE_KEY, loadTargetOs, osLabel, filterContentForOs } from './platforms.js';
+import { PYTHON_VERSIONS, PYTHON_VERSION_STORAGE_KEY, loadPythonVersion, pythonVersionWarnings, applyPythonVersion } from './python.js';
+import { SETUP_QUESTIONS, loadSetupAnswers, saveSetupAnswers, describeSetup, matchesSetup, filterContentForSetup } from './setup.js';
+import { withBlockKeys, loadProgress, saveProgress, setCompleted, computeProgress, percent } from './progress.js';
+import { checklistContent as loadedContent, contentErrors } from './content/index.js';
+import { SEARCH_FILTERS, searchContent, highlightSegments } from './search.js';
+import { parseRoute, routeHash, findRoute, resolveRoute, routeElementId, readSearchParams, buildUrl } from './routing.js';
+import { generateDeployScript } from './generators/deploy-script.js';
+import { generateTerraform, generateCloudFormation, infrastructureWarnings } from './generators/infrastructure.js';
+import { generateCloudInit } from './generators/cloud-init.js';
+import { loadSecurityGroupPlan } from './generators/security-groups.js';
+import { generateVerifyScript } from './generators/verify.js';
+import { downloadText } from './download.js';
+import { copyToClipboard, loadCopyHistory, clearCopyHistory, subscribeToCopies } from './clipboard.js';
+import { copyableEntry, shellCommands } from './generators/commands.js';
+import { STEP_TOOLS } from './tools/index.js';
+import { Warnings, CodeLines, codeSurfaceClassName } from './tools/fields.jsx';
+import { TOKEN_CLASSES, highlightCode, entryLanguage, languageForPath, overlayRanges } from './syntax.js';
 
-// Main App component which contains all other components and logic.
-function App() {
-    // The comprehensive checklist content, now including platform-specific commands,
-    // detailed pitfalls with solutions, and new sections as requested.
-    // Each main section has an 'id', 'title', and 'sections' array.
-    // Each 'section' (which is a step) has an 'id', 'title', 'description'.
-    // 'contentBlocks' array within each step can contain 'command', 'pitfall', or 'text' types.
-    const checklistContent = [
-        {
-            id: "prep-locally",
-            title: "1. Prepare Locally",
-            sections: [
-                {
-                    id: "install-python",
-                    title: "1.1 Install Python & Virtual Environment",
-                    description: "Ensure Python 3.x is installed and create a virtual environment for your project locally.",
-                    contentBlocks: [
-                        {
-                            type: 'command',
-                            platform: 'General',
-                            commands: [
-                                "sudo apt update",
-                                "sudo apt install python3.9 python3.9-venv",
-                                "python3.9 -m venv venv",
-                                "source venv/bin/activate"
-                            ],
-                            description: "Commands to install Python 3.9 (if not already present) and set up a virtual environment on a local Ubuntu-like system."
-                        },
-                        {
-                            type: 'pitfall',
-                            title: 'Wrong Python version syntax (Path | None on Python 3.9)',
-                            content: 'Using `Path | None` type hints might cause compatibility issues on Python 3.9, which doesn\'t fully support the `|` operator for union types in this context.',
-                            fix: 'Use `Optional[Path]` from the `typing` module (e.g., `from typing import Optional`) or upgrade your local development environment to Python 3.10 or newer for native support of `|` for union types.'
-                        },
-                        {
-                            type: 'pitfall',
-                            title: 'Forgetting to activate virtual environment',
-                            content: 'Running `pip install` or `python` commands without activating the virtual environment first will install packages globally on your system, leading to dependency conflicts or unexpected behavior.',
-                            fix: 'After creating the virtual environment with `python3.9 -m venv venv`, always run `source venv/bin/activate`. You\'ll know it\'s active when you see `(venv)` prepended to your terminal prompt. Then proceed with all package installations.'
-                        },
-                    ]
-                },
-                {
-                    id: "install-dependencies",
-                    title: "1.2 Install Project Dependencies",
-                    description: "Install FastAPI, Uvicorn, and other project requirements within your local virtual environment.",
-                    contentBlocks: [
-                        {
-                            type: 'command',
-                            platform: 'General',
-                            commands: [
-                                "pip install fastapi uvicorn[standard] python-multipart",
-                                "pip install -r requirements.txt"
-                            ],
-                            description: "Install core FastAPI dependencies and any additional project requirements specified in `requirements.txt`."
-                        },
-                        {
-                            type: 'pitfall',
-                            title: 'Missing critical packages',
-                            content: 'If your `requirements.txt` is incomplete or essential packages like `fastapi` or `uvicorn` are not installed, your application may fail to start or run correctly, often with `ModuleNotFoundError`s.',
-                            fix: 'Always ensure `pip install -r requirements.txt` is run after activating the virtual environment and that `requirements.txt` is up-to-date with all project dependencies, including any specific versions if needed.'
-                        },
-                        {
-                            type: 'pitfall',
-                            title: 'Using `opencv-python` instead of `opencv-python-headless` on servers',
-                            content: 'Installing the standard `opencv-python` package includes GUI dependencies that are typically unnecessary and can cause installation issues or bloat on headless servers (like EC2 instances).',
-                            fix: 'For server deployments, always use `pip install opencv-python-headless` if your application requires OpenCV. For local development where GUI interactions might be needed, `opencv-python` is acceptable.'
-                        },
-                    ]
-                }
-            ]
-        },
-        {
-            id: "launch-ec2",
-            title: "2. Launch AWS EC2 Instance",
-            sections: [
-                {
-                    id: "choose-ami",
-                    title: "2.1 Choose AMI and Instance Type",
-                    description: "Select an appropriate Amazon Machine Image (AMI) and instance type for your application on AWS EC2.",
-                    contentBlocks: [
-                        {
-                            type: 'command',
-                            platform: 'General',
-                            commands: [
-                                "AWS Console -> EC2 -> Instances -> Launch Instances",
-                                "Select Ubuntu Server 20.04 LTS (HVM), SSD Volume Type (or newer LTS version)"
-                            ],
-                            description: "Steps for launching an EC2 instance using the AWS Console, typically starting with Ubuntu for familiar commands."
-                        },
-                        {
-                            type: 'command',
-                            platform: 'Amazon Linux 2023',
-                            commands: [
-                                "AWS Console -> EC2 -> Instances -> Launch Instances",
-                                "Select Amazon Linux 2023 AMI"
-                            ],
-                            description: "Alternatively, select Amazon Linux 2023 for a modern, lightweight, and security-focused Linux distribution from AWS."
-                        },
-                        {
-                            type: 'pitfall',
-                            title: 'Choosing an undersized or oversized instance type',
-                            content: 'Selecting an EC2 instance type (e.g., `t2.micro`, `t3.medium`) that is too small can lead to performance bottlenecks and application unresponsiveness. An oversized instance wastes money.',
-                            fix: 'Start with a `t2.micro` or `t3.micro` for initial testing and small applications. Monitor CPU, memory, and network usage with CloudWatch, and scale up (e.g., to `t3.medium`) if your application demands more resources.'
-                        },
-                    ]
-                },
-                {
-                    id: "configure-security-group",
-                    title: "2.2 Configure Security Group",
-                    description: "Set up inbound rules in your EC2 Security Group to control network traffic to your instance.",
-                    contentBlocks: [
-                        {
-                            type: 'command',
-                            platform: 'General',
-                            commands: [
-                                "Add Rule: Type SSH, Source My IP (or specific IP range)",
-                                "Add Rule: Type HTTP, Source Anywhere (0.0.0.0/0)",
-                                "Add Rule: Type HTTPS, Source Anywhere (0.0.0.0/0)",
-                                "Add Rule: Type Custom TCP, Port Range 8000, Source Anywhere (0.0.0.0/0) - TEMPORARY"
-                            ],
-                            description: "Essential inbound rules for SSH, HTTP/S, and a temporary rule for direct Uvicorn testing on port 8000."
-                        },
-                        {
-                            type: 'pitfall',
-                            title: 'Incorrect security group rules blocking access',
-                            content: 'Incorrectly configured inbound rules are the most common reason for "connection refused" or "timeout" errors when trying to access your EC2 instance or application.',
-                            fix: 'Ensure port 22 (SSH), 80 (HTTP), and 443 (HTTPS) are open from appropriate sources (e.g., "My IP" for SSH, "Anywhere" for HTTP/S). For direct Uvicorn testing, temporarily open Custom TCP 8000 to "Anywhere". Remember to tighten rules later.'
-                        },
-                        {
-                            type: 'pitfall',
-                            title: 'Can\'t reach application on port 8000',
-                            content: 'If your FastAPI application is running on port 8000 but you cannot access it directly from your browser, the security group is likely blocking the traffic.',
-                            fix: 'Temporarily add an inbound rule for `Custom TCP`, `Port 8000`, `Source: 0.0.0.0/0` in your EC2 Security Group. **Long-term solution:** Use Nginx as a reverse proxy on port 80/443 and close port 8000 to external traffic, only allowing localhost access.'
-                        },
-                    ]
-                }
-            ]
-        },
-        {
-            id: "ssh-into-ec2",
-            title: "3. SSH into EC2 Instance",
-            sections: [
-                {
-                    id: "connect-ssh",
-                    title: "3.1 Connect via SSH",
-                    description: "Use your private key to securely connect to your newly launched EC2 instance.",
-                    contentBlocks: [
-                        {
-                            type: 'command',
-                            platform: 'Linux/macOS',
-                            commands: [
-                                "chmod 400 your-key.pem",
-                                "ssh -i your-key.pem ubuntu@ec2-XX-XXX-XXX-XXX.compute-1.amazonaws.com"
-                            ],
-                            description: "Commands to set appropriate permissions on your SSH key and connect to an Ubuntu EC2 instance."
-                        },
-                        {
-                            type: 'pitfall',
-                            title: 'Permission denied (publickey) on Windows',
-                            content: 'On Windows, improper file permissions on your `.pem` key file can lead to SSH `Permission denied (publickey)` errors.',
-                            fix: 'Open PowerShell and run the following commands to restrict access to your key file:\n`icacls .\\key.pem /inheritance:r`\n`icacls .\\key.pem /grant:r "$env:USERNAME:(R)"`\n`icacls .\\key.pem /remove:g "Authenticated Users" "BUILTIN\\Administrators" "Users" "Everyone"`'
-                        },
-                        {
-                            type: 'pitfall',
-                            title: 'Using the wrong SSH username (IAM vs OS user)',
-                            content: 'Attempting to SSH into an EC2 instance with an IAM user\'s name instead of the instance\'s default OS user will result in authentication failure.',
-                            fix: 'Use the correct default OS username for your AMI: `ec2-user` for Amazon Linux, `ubuntu` for Ubuntu, `centos` for CentOS, `admin` for Debian, etc. Check your AMI documentation if unsure.'
-                        },
-                    ]
-                }
-            ]
-        },
-        {
-            id: "install-system-deps-ec2",
-            title: "4. Install System Dependencies on EC2",
-            description: "Install essential system-level packages on your EC2 instance before deploying your application.",
-            sections: [
-                {
-                    id: "install-deps-ubuntu",
-                    title: "4.1 Install Dependencies on Ubuntu",
-                    description: "Install Python, Git, and Nginx on your Ubuntu EC2 instance.",
-                    contentBlocks: [
-                        {
-                            type: 'command',
-                            platform: 'Ubuntu',
-                            commands: [
-                                "sudo apt update -y",
-                                "sudo apt install -y python3.9 python3.9-venv git nginx"
-                            ],
-                            description: "Update package lists and install Python 3.9 with venv, Git for cloning repositories, and Nginx for reverse proxying."
-                        }
-                    ]
-                },
-                {
-                    id: "install-deps-amazon-linux",
-                    title: "4.2 Install Dependencies on Amazon Linux 2023",
-                    description: "Install Python, Git, and Nginx on your Amazon Linux 2023 EC2 instance.",
-                    contentBlocks: [
-                        {
-                            type: 'command',
-                            platform: 'Amazon Linux 2023',
-                            commands: [
-                                "sudo dnf update -y",
-                                "sudo dnf install -y python3-pip python3-virtualenv git nginx"
-                            ],
-                            description: "Update package lists and install Python 3 with pip/virtualenv, Git, and Nginx using `dnf`."
-                        }
-                    ]
-                }
-            ]
-        },
-        {
-            id: "deploy-app",
-            title: "5. Deploy FastAPI Application",
-            sections: [
-                {
-                    id: "get-code-onto-server",
-                    title: "5.1 Get Code onto Server",
-                    description: "Transfer your application code from your local machine or version control to the EC2 instance.",
-                    contentBlocks: [
-                        {
-                            type: 'command',
-                            platform: 'General (Git)',
-                            commands: [
-                                "git clone https://github.com/your-org/your-repo.git",
-                                "cd your-repo"
-                            ],
-                            description: "Clone your application's Git repository to the EC2 instance. Ensure Git is installed."
-                        },
-                        {
-                            type: 'command',
-                            platform: 'General (SCP Alternative)',
-                            commands: [
-                                "scp -i key.pem main.py requirements.txt ec2-user@YOUR_EC2_IP:/home/ec2-user/app/"
-                            ],
-                            description: "Alternatively, use `scp` (Secure Copy Protocol) to transfer individual files or directories. Replace `ec2-user` with `ubuntu` for Ubuntu AMIs and update the path as needed."
-                        },
-                        {
-                            type: 'pitfall',
-                            title: 'Private repository clone fails',
-                            content: 'If your repository is private, a simple `git clone` will fail due to authentication issues.',
-                            fix: 'For private repositories, use a Personal Access Token (PAT) with HTTPS cloning, or configure SSH keys on your EC2 instance for SSH cloning. The `scp` method is a good alternative for small projects without complex Git history.'
-                        },
-                    ]
-                },
-                {
-                    id: "install-deps-ec2",
-                    title: "5.2 Install Python and Dependencies on EC2",
-                    description: "Set up a virtual environment and install project-specific Python dependencies on the EC2 instance.",
-                    contentBlocks: [
-                        {
-                            type: 'command',
-                            platform: 'General',
-                            commands: [
-                                "python3.9 -m venv venv",
-                                "source venv/bin/activate",
-                                "pip install -r requirements.txt"
-                            ],
-                            description: "Create a virtual environment, activate it, and install all Python dependencies from `requirements.txt`."
-                        },
-                        {
-                            type: 'pitfall',
-                            title: 'Not using virtual environment on the server',
-                            content: 'Installing Python packages globally on the server can lead to dependency conflicts with other system applications or Python versions.',
-                            fix: 'Always create and activate a virtual environment (`venv`) for your FastAPI application on the EC2 instance. This isolates your project dependencies and prevents conflicts.'
-                        },
-                        {
-                            type: 'pitfall',
-                            title: 'Missing `python-multipart` for `UploadFile`',
-                            content: 'If your FastAPI application uses `UploadFile` (e.g., for file uploads), but `python-multipart` is not installed, you will encounter runtime errors when handling file uploads.',
-                            fix: 'Ensure `python-multipart` is listed in your `requirements.txt` or explicitly install it with `pip install python-multipart` within your activated virtual environment.'
-                        },
-                    ]
-                },
-                {
-                    id: "run-uvicorn",
-                    title: "5.3 Run Uvicorn",
-                    description: "Start your FastAPI application using Uvicorn directly.",
-                    contentBlocks: [
-                        {
-                            type: 'command',
-                            platform: 'General (Foreground)',
-                            commands: [
-                                "uvicorn main:app --host 0.0.0.0 --port 8000"
-                            ],
-                            description: "Run Uvicorn in the foreground. This is useful for initial testing, but the process will stop if your SSH session closes."
-                        },
-                        {
-                            type: 'command',
-                            platform: 'General (Background - nohup)',
-                            commands: [
-                                "nohup uvicorn main:app --host 0.0.0.0 --port 8000 &"
-                            ],
-                            description: "Run Uvicorn in the background using `nohup`. The `&` detaches the process from your terminal, allowing it to continue running after you close your SSH session. Output will go to `nohup.out` by default."
-                        },
-                        {
-                            type: 'pitfall',
-                            title: 'Application binds only to 127.0.0.1 (localhost)',
-                            content: 'If Uvicorn is run without `--host 0.0.0.0`, it might default to `127.0.0.1`, making it inaccessible from outside the EC2 instance (even if security groups are open).',
-                            fix: 'Always specify `--host 0.0.0.0` when running Uvicorn on a server. This makes the application listen on all available network interfaces, allowing external connections.'
-                        },
-                        {
-                            type: 'pitfall',
-                            title: 'Port 8000 already in use',
-                            content: 'If a previous instance of Uvicorn or another process is still using port 8000, your new Uvicorn process will fail to start, reporting "Address already in use".',
-                            fix: 'Use `ss -ltnp | grep 8000` to identify the process using the port. Then, use `pkill -f "uvicorn main:app"` to terminate any stale Uvicorn processes. Alternatively, restart the EC2 instance if safe to do so.'
-                        },
-                        {
-                            type: 'pitfall',
-                            title: 'Server stops when SSH session closes',
-                            content: 'If you run Uvicorn directly without a process manager or `nohup`, the application will terminate as soon as you close your SSH terminal.',
-                            fix: 'For simple cases, use `nohup uvicorn ... &` (as shown above). For production, it\'s highly recommended to use a proper process manager like Supervisord or Systemd to ensure your application runs reliably in the background and restarts automatically upon failure or server reboot.'
-                        },
-                    ]
-                }
-            ]
-        },
-        {
-            id: "security-polish",
-            title: "6. Security & Polish",
-            sections: [
-                {
-                    id: "install-nginx",
-                    title: "6.1 Install Nginx as a Reverse Proxy",
-                    description: "Set up Nginx to serve your FastAPI app, handle static files, and manage SSL/TLS certificates.",
-                    contentBlocks: [
-                        {
-                            type: 'command',
-                            platform: 'Ubuntu Configuration',
-                            commands: [
-                                "sudo apt install nginx",
-                                "sudo nano /etc/nginx/sites-available/fastapi_app",
-                                "  server {\n    listen 80;\n    server_name your_domain.com www.your_domain.com;\n\n    location / {\n      proxy_pass http://127.0.0.1:8000;\n      proxy_set_header Host $host;\n      proxy_set_header X-Real-IP $remote_addr;\n      proxy_set_header X-Forwarded-For $proxy_add_x_forwarded_for;\n      proxy_set_header X-Forwarded-Proto $scheme;\n    }\n\n    location /static/ {\n      alias /path/to/your/app/static/;\n    }\n  }",
-                                "sudo ln -s /etc/nginx/sites-available/fastapi_app /etc/nginx/sites-enabled/",
-                                "sudo unlink /etc/nginx/sites-enabled/default",
-                                "sudo nginx -t",
-                                "sudo systemctl restart nginx"
-                            ],
-                            description: "Configure Nginx on Ubuntu using the `sites-available`/`sites-enabled` structure. Replace `your_domain.com` and `/path/to/your/app/static/`."
-                        },
-                        {
-                            type: 'command',
-                            platform: 'Amazon Linux 2023 Configuration',
-                            commands: [
-                                "sudo tee /etc/nginx/conf.d/fastapi.conf >/dev/null <<'EOF'\nserver {\n    listen 80 default_server;\n    server_name _;\n\n    location / {\n        proxy_pass         http://127.0.0.1:8000;\n        proxy_http_version 1.1;\n        proxy_set_header   Host $host;\n        proxy_set_header   X-Real-IP $remote_addr;\n    }\n}\nEOF",
-                                "sudo nginx -t",
-                                "sudo systemctl restart nginx"
-                            ],
-                            description: "Configure Nginx on Amazon Linux 2023. This uses the `/etc/nginx/conf.d/` directory for configuration files, which is a common practice on RHEL-based systems."
-                        },
-                        {
-                            type: 'pitfall',
-                            title: '502 Bad Gateway error from Nginx',
-                            content: 'A "502 Bad Gateway" error indicates that Nginx is unable to connect to your backend FastAPI application.',
-                            fix: 'Ensure your Uvicorn/Gunicorn process is running and accessible on `127.0.0.1:8000`. Test your Nginx configuration with `sudo nginx -t` (it should output "syntax is ok" and "test is successful"). Restart Nginx with `sudo systemctl restart nginx`. On some distributions, SELinux might be blocking Nginx access; check logs and configure if necessary.'
-                        },
-                        {
-                            type: 'pitfall',
-                            title: 'Wrong Nginx configuration file path layout (Ubuntu vs Amazon Linux)',
-                            content: 'Nginx configuration file locations and management differ between distributions (e.g., `sites-available`/`sites-enabled` on Debian/Ubuntu vs. `conf.d` on RHEL/Amazon Linux).',
-                            fix: 'On Ubuntu, use `/etc/nginx/sites-available/` and symlink to `/etc/nginx/sites-enabled/`. On Amazon Linux 2023 (and other RHEL-based systems), place your configuration directly in `/etc/nginx/conf.d/` (e.g., `fastapi.conf`).'
-                        },
-                    ]
-                },
-                {
-                    id: "enable-https",
-                    title: "6.2 Enable HTTPS with Certbot (Let's Encrypt)",
-                    description: "Secure your website with free SSL/TLS certificates provided by Let's Encrypt using Certbot.",
-                    contentBlocks: [
-                        {
-                            type: 'command',
-                            platform: 'Ubuntu Installation & Setup',
-                            commands: [
-                                "sudo snap install core",
-                                "sudo snap refresh core",
-                                "sudo snap install --classic certbot",
-                                "sudo ln -s /snap/bin/certbot /usr/bin/certbot",
-                                "sudo certbot --nginx -d your_domain.com -d www.your_domain.com"
-                            ],
-                            description: "Install Certbot via Snap and obtain/configure an SSL certificate for your domain using the Nginx plugin on Ubuntu."
-                        },
-                        {
-                            type: 'command',
-                            platform: 'Amazon Linux 2023 Installation & Setup',
-                            commands: [
-                                "sudo dnf install -y epel-release", // Enable EPEL repository if not already.
-                                "sudo dnf install -y certbot python3-certbot-nginx",
-                                "sudo certbot --nginx -d your_domain.com -d www.your_domain.com"
-                            ],
-                            description: "Install Certbot on Amazon Linux 2023 using `dnf` and the EPEL repository, then obtain/configure an SSL certificate for your domain."
-                        },
-                        {
-                            type: 'pitfall',
-                            title: 'Using `snap` on Amazon Linux 2023 (not installed by default)',
-                            content: 'Snap is not typically installed or enabled on Amazon Linux 2023, so attempts to install Certbot via `snap` will fail.',
-                            fix: 'On Amazon Linux 2023, install Certbot via the `dnf` package manager, often requiring the EPEL (Extra Packages for Enterprise Linux) repository: `sudo dnf install -y epel-release && sudo dnf install -y certbot python3-certbot-nginx`.'
-                        },
-                        {
-                            type: 'pitfall',
-                            title: 'Certbot certificate renewal not configured',
-                            content: 'Let\'s Encrypt certificates are only valid for 90 days. If renewal is not automated, your HTTPS will eventually expire.',
-                            fix: 'Certbot typically installs a systemd timer (or cron job) for automatic renewals. Verify its status with `systemctl list-timers | grep certbot` (for systemd). If it\'s not running, ensure `certbot renew --dry-run` works without errors and then enable the timer.'
-                        },
-                        {
-                            type: 'pitfall',
-                            title: 'DNS records not pointing to EC2 IP',
-                            content: 'Certbot needs to verify domain ownership. If your domain\'s A record does not point to your EC2 instance\'s public IP, certificate issuance will fail.',
-                            fix: 'Before running Certbot, ensure your domain\'s A record (e.g., `your_domain.com`) and any `www` CNAME record point to the public IP address of your EC2 instance. Also, ensure your EC2 Security Group allows inbound traffic on port 443 (HTTPS).'
-                        },
-                    ]
-                },
-                {
-                    id: "process-manager",
-                    title: "6.3 Use a Process Manager (Gunicorn + Supervisord/Systemd)",
-                    description: "Implement a process manager to ensure your application runs reliably, automatically restarts, and manages logs.",
-                    contentBlocks: [
-                        {
-                            type: 'command',
-                            platform: 'General (Gunicorn with Uvicorn Workers)',
-                            commands: [
-                                "pip install gunicorn",
-                                "gunicorn -w 4 -k uvicorn.workers.UvicornWorker main:app -b 0.0.0.0:8000"
-                            ],
-                            description: "Install Gunicorn and run your FastAPI app with Uvicorn workers. Gunicorn handles process management, while Uvicorn workers allow FastAPI to leverage ASGI."
-                        },
-                        {
-                            type: 'command',
-                            platform: 'Ubuntu (Supervisord Configuration)',
-                            commands: [
-                                "sudo apt install supervisor",
-                                "sudo nano /etc/supervisor/conf.d/fastapi_app.conf",
-                                "  [program:fastapi_app]\n  command=/path/to/your/app/venv/bin/gunicorn -w 4 -k uvicorn.workers.UvicornWorker main:app -b 0.0.0.0:8000\n  directory=/path/to/your/app\n  user=ubuntu\n  autostart=true\n  autorestart=true\n  stdout_logfile=/var/log/supervisor/fastapi_app.log\n  stderr_logfile=/var/log/supervisor/fastapi_app_error.log",
-                                "sudo supervisorctl reread",
-                                "sudo supervisorctl update",
-                                "sudo supervisorctl start fastapi_app"
-                            ],
-                            description: "Install and configure Supervisord to manage your Gunicorn process, ensuring it starts on boot and restarts if it crashes."
-                        },
-                        {
-                            type: 'command',
-                            platform: 'General (Systemd Configuration)',
-                            commands: [
-                                "sudo nano /etc/systemd/system/fastapi@.service",
-                                "# /etc/systemd/system/fastapi@.service\n[Unit]\nDescription=FastAPI (Uvicorn) for %i\nAfter=network.target\n\n[Service]\nUser=%i\nWorkingDirectory=/home/%i/app\nEnvironment=PATH=/home/%i/app/.venv/bin\nExecStart=/home/%i/app/.venv/bin/uvicorn main:app --host 0.0.0.0 --port 8000 --workers 1\nRestart=on-failure\n\n[Install]\nWantedBy=multi-user.target",
-                                "sudo systemctl enable fastapi@ec2-user", // Replace ec2-user with your actual OS user
-                                "sudo systemctl start fastapi@ec2-user"
-                            ],
-                            description: "Configure a Systemd service unit for your FastAPI application. Systemd is a powerful and widely used init system that manages services on Linux."
-                        },
-                        {
-                            type: 'pitfall',
-                            title: 'Misconfigured process manager leads to app not starting',
-                            content: 'Errors in your Supervisord configuration file or Systemd service unit can prevent your application from starting or restarting correctly.',
-                            fix: 'Always check the logs: `stdout_logfile` and `stderr_logfile` for Supervisord, or `journalctl -u fastapi@YOUR_USER -f` for Systemd. Use `sudo supervisorctl status` or `sudo systemctl status fastapi@YOUR_USER` to check service status.'
-                        },
-                        {
-                            type: 'pitfall',
-                            title: 'Wrong virtual environment path in `ExecStart` (Systemd)',
-                            content: 'If the `ExecStart` command in your Systemd service file does not specify the correct absolute path to your virtual environment\'s Python executable (e.g., `venv/bin/uvicorn`), the service will fail to start.',
-                            fix: 'Use the absolute path to your Uvicorn or Gunicorn executable within your virtual environment, for example: `/home/ec2-user/app/.venv/bin/gunicorn` or `/home/ec2-user/app/.venv/bin/uvicorn`.'
-                        },
-                        {
-                            type: 'pitfall',
-                            title: 'Environment variables not applied to service',
-                            content: 'Sensitive data or configuration parameters stored as environment variables might not be correctly picked up by your Systemd or Supervisord service, leading to application errors.',
-                            fix: 'For Systemd, add `Environment=KEY=VALUE` lines in the `[Service]` section of your service file and run `sudo systemctl daemon-reload` after changes. For Supervisord, use the `environment=` option in the `[program]` section.'
-                        },
-                    ]
-                }
-            ]
-        },
-        {
-            id: "cors-browser-uis",
-            title: "7. CORS for Browser UIs",
-            description: "Implement Cross-Origin Resource Sharing (CORS) middleware in your FastAPI application to allow requests from browser-based frontends.",
-            sections: [
-                {
-                    id: "implement-cors-middleware",
-                    title: "7.1 Implement CORS Middleware",
-                    description: "Add FastAPI's built-in CORS middleware to handle cross-origin requests.",
-                    contentBlocks: [
-                        {
-                            type: 'command',
-                            platform: 'Python (main.py)',
-                            language: 'python',
-                            commands: [
-                                "from fastapi.middleware.cors import CORSMiddleware",
-                                "",
-                                "app.add_middleware(",
-                                "    CORSMiddleware,",
-                                "    allow_origins=[\"*\"],  # or specific URL(s) e.g. [\"http://localhost:3000\", \"https://your-frontend.com\"]",
-                                "    allow_credentials=True,",
-                                "    allow_methods=[\"*\"],",
-                                "    allow_headers=[\"*\"],",
-                                ")"
-                            ],
-                            description: "Add this code snippet to your main FastAPI application file (`main.py` or similar) to enable CORS. Remember to replace `\"*\"` with specific origins for production."
-                        },
-                        {
-                            type: 'pitfall',
-                            title: 'CORS blocked when UI runs on another origin',
-                            content: 'If your browser-based UI is hosted on a different domain or port than your FastAPI backend, browser security policies will block requests to your API due to CORS restrictions.',
-                            fix: 'Add the `CORSMiddleware` to your FastAPI application. In `allow_origins`, specify the exact URLs of your frontend applications (e.g., `["http://localhost:3000", "https://your-frontend.com"]`). Avoid `["*"]` in production as it allows requests from any origin, which can be a security risk.'
-                        },
-                    ]
-                }
-            ]
-        },
-        {
-            id: "health-troubleshoot",
-            title: "8. Health / Troubleshoot Commands",
-            description: "Essential commands for checking the health and diagnosing issues with your FastAPI application on the EC2 instance.",
-            sections: [
-                {
-                    id: "common-troubleshooting",
-                    title: "8.1 Common Troubleshooting Steps",
-                    description: "A collection of commands to quickly verify your application's status and logs.",
-                    contentBlocks: [
-                        {
-                            type: 'command',
-                            platform: 'General',
-                            commands: [
-                                "# Check if app is accessible locally (expect 200)",
-                                "curl -s -o /dev/null -w \"%{http_code}\\n\" http://127.0.0.1:8000/docs",
-                                "",
-                                "# Check if app is listening on the correct port and interfaces",
-                                "ss -ltnp | grep 8000",
-                                "",
-                                "# Kill any stale Uvicorn processes",
-                                "pkill -f \"uvicorn main:app\"",
-                                "",
-                                "# Follow Systemd service logs (replace 'ec2-user' with your actual OS user)",
-                                "journalctl -u fastapi@ec2-user -f",
-                                "",
-                                "# Follow Supervisord logs (if used)",
-                                "tail -f /var/log/supervisor/fastapi_app.log"
-                            ],
-                            description: "These commands help you quickly check if your application is running, listening, and what its logs indicate. Adjust paths and usernames as necessary."
-                        }
-                    ]
-                }
-            ]
-        },
-        {
-            id: "final-security-polish",
-            title: "9. Security Polish & Final Steps",
-            description: "Refine your EC2 setup for better security, reliability, and usability.",
-            sections: [
-                {
-                    id: "restrict-ssh-access",
-                    title: "9.1 Restrict SSH to My IP",
-                    description: "Enhance security by limiting SSH access to only your known IP address(es).",
-                    contentBlocks: [
-                        {
-                            type: 'text',
-                            content: 'After initial setup, it is crucial to restrict SSH access (port 22) in your EC2 Security Group to only your specific public IP address(es). Avoid leaving it open to `0.0.0.0/0` (Anywhere) in production environments.'
-                        },
-                        {
-                            type: 'pitfall',
-                            title: 'SSH port 22 open to the world (`0.0.0.0/0`)',
-                            content: 'Leaving SSH open to all IP addresses (`0.0.0.0/0`) is a major security vulnerability, making your instance susceptible to brute-force attacks.',
-                            fix: 'In your EC2 Security Group, modify the inbound rule for port 22 (SSH) to `Source: My IP` (or a specific IP range for your team/network). Update this rule whenever your public IP changes.'
-                        }
-                    ]
-                },
-                {
-                    id: "assign-elastic-ip",
-                    title: "9.2 Assign Elastic IP",
-                    description: "Allocate and associate an Elastic IP address with your EC2 instance.",
-                    contentBlocks: [
-                        {
-                            type: 'text',
-                            content: 'By default, EC2 instances receive a new public IP address each time they are stopped and started. To ensure your application\'s URL remains constant, allocate an AWS Elastic IP and associate it with your EC2 instance.'
-                        },
-                        {
-                            type: 'pitfall',
-                            title: 'Public IP changes after stop/start',
-                            content: 'If you stop and start your EC2 instance, its public IP address will change, breaking any DNS records or direct links pointing to it.',
-                            fix: 'Allocate an Elastic IP in the AWS Console (EC2 -> Elastic IPs) and associate it with your running EC2 instance. This provides a static public IP address that persists even if the instance is stopped and started.'
-                        }
-                    ]
-                },
-                {
-                    id: "close-uvicorn-port",
-                    title: "9.3 Close Port 8000 (after Nginx setup)",
-                    description: "After Nginx is fully configured as a reverse proxy, restrict direct access to the Uvicorn port.",
-                    contentBlocks: [
-                        {
-                            type: 'text',
-                            content: 'Once Nginx is successfully routing traffic to your FastAPI application on port 8000, you should modify your EC2 Security Group to close port 8000 to external traffic. Nginx will handle all public-facing connections.'
-                        },
-                        {
-                            type: 'pitfall',
-                            title: 'Port 8000 still open to the public after Nginx setup',
-                            content: 'Leaving port 8000 open to `0.0.0.0/0` even after Nginx is set up exposes your backend directly and circumvents Nginx\'s security features (like SSL termination).',
-                            fix: 'In your EC2 Security Group, change the inbound rule for port 8000 from `Source: 0.0.0.0/0` to `Source: 127.0.0.1` (or `::1` for IPv6, if applicable). This ensures only Nginx (running on the same instance) can access your Uvicorn process directly.'
-                        }
-                    ]
-                }
-            ]
-        },
-        {
-            id: "test-checklist",
-            title: "10. Test Deployment Checklist",
-            description: "Quick commands to validate the success of your FastAPI deployment.",
-            sections: [
-                {
-                    id: "validate-deployment",
-                    title: "10.1 Validate Your Deployment",
-                    description: "Run these checks from your local machine (or within EC2) to ensure everything is working as expected.",
-                    contentBlocks: [
-                        {
-                            type: 'command',
-                            platform: 'Local Machine (after DNS update)',
-                            commands: [
-                                "# Check application via domain (expect 200, or redirect to HTTPS)",
-                                "curl -s -o /dev/null -w \"%{http_code}\\n\" http://your_domain.com/docs",
-                                "curl -s -o /dev/null -w \"%{http_code}\\n\" https://your_domain.com/docs"
-                            ],
-                            description: "Verify that your application is reachable via your domain name and responds with a 200 OK status, ideally with HTTPS."
-                        },
-                        {
-                            type: 'command',
-                            platform: 'Within EC2 Instance',
-                            commands: [
-                                "# Check if the application is running and accessible locally (expect 200)",
-                                "curl -s -o /dev/null -w \"%{http_code}\\n\" http://127.0.0.1:8000/docs",
-                                "",
-                                "# Check Nginx configuration for errors",
-                                "sudo nginx -t",
-                                "",
-                                "# Check Nginx service status",
-                                "sudo systemctl status nginx",
-                                "",
-                                "# Check your FastAPI service status (replace 'ec2-user' with your actual OS user)",
-                                "sudo systemctl status fastapi@ec2-user",
-                                "",
-                                "# View real-time logs for your FastAPI service",
-                                "journalctl -u fastapi@ec2-user -f"
-                            ],
-                            description: "These commands help verify the status of your FastAPI application, Nginx, and process manager directly on the EC2 instance."
-                        }
-                    ]
-                }
-            ]
-        }
-    ];
+// The checklist content, loaded from the JSON files in src/content and validated at load time.
+// Each main section has an 'id', 'title', and 'sections' array of steps; see src/content/schema.js.
+const checklistContent = withBlockKeys(loadedContent);
 
-    // State for managing dark/light theme
-    const [theme, setTheme] = useState(
-        localStorage.getItem('theme') || (window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light')
+// Block key of every pitfall, by pitfall id, for opening the pitfall a URL points at
+const pitfallKeys = {};
+checklistContent.forEach(mainSection => mainSection.sections.forEach(step => step.contentBlocks
+    .filter(block => block.type === 'pitfall')
+    .forEach((block) => { pitfallKeys[block.id] = block.key; })));
+
+// Open steps and pitfalls: { steps: { [stepId]: true }, pitfalls: { [blockKey]: true } }.
+// Kept in App (and in history entries) so back/forward can restore it.
+const EMPTY_EXPANDED = { steps: {}, pitfalls: {} };
+
+// Returns true if the place a route points at exists but is left out for the setup answers
+const hiddenBySetup = (route, answers) => {
+    if (!route) return false;
+    const id = route.pitfallId || route.stepId || route.mainSectionId;
+    return !findRoute(filterContentForSetup(checklistContent, answers), id);
+};
+
+// Return 'expanded' with the step and pitfall a route points at opened
+const expandRoute = (expanded, route) => {
+    if (!route || !route.stepId) return expanded;
+    return {
+        steps: { ...expanded.steps, [route.stepId]: true },
+        pitfalls: route.pitfallId && pitfallKeys[route.pitfallId] ? { ...expanded.pitfalls, [pitfallKeys[route.pitfallId]]: true } : expanded.pitfalls,
+    };
+};
+
+// Component for the development overlay listing content validation errors
+function ContentErrorOverlay({ errors }) {
+    const [dismissed, setDismissed] = useState(false);
+    if (dismissed || errors.length === 0) return null;
+
+    return (
+        <div className="fixed inset-0 z-[100] bg-black/60 flex items-center justify-center p-4" role="alertdialog" aria-labelledby="content-errors-title">
+            <div className="bg-white dark:bg-gray-900 rounded-xl shadow-xl max-w-3xl w-full max-h-[80vh] overflow-y-auto custom-scrollbar p-6 border-t-4 border-red-600">
+                <div className="flex items-center justify-between mb-4">
+                    <h2 id="content-errors-title" className="text-xl font-bold text-red-700 dark:text-red-400">
+                        Checklist content has {errors.length} problem{errors.length === 1 ? '' : 's'}
+                    </h2>
+                    <button
+                        onClick={() => setDismissed(true)}
+                        className="p-2 rounded-lg text-sm bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-200 hover:bg-gray-300 dark:hover:bg-gray-600 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                        Dismiss
+                    </button>
+                </div>
+                <ul className="space-y-2 font-mono text-sm">
+                    {errors.map((error, index) => (
+                        <li key={index} className="p-2 rounded bg-red-50 dark:bg-red-950 text-red-800 dark:text-red-200">
+                            <span className="font-semibold">src/content/{error.source}</span>
+                            {error.path && <span className="text-red-600 dark:text-red-400"> ({error.path})</span>}: {error.message}
+                        </li>
+                    ))}
+                </ul>
+                <p className="mt-4 text-sm text-gray-600 dark:text-gray-400">
+                    Fix the data files and the page reloads automatically. This overlay is only shown in development.
+                </p>
+            </div>
+        </div>
     );
-    // State for search query
-    const [searchQuery, setSearchQuery] = useState('');
-    // State to track the currently active section for TOC highlighting
-    const [activeSectionId, setActiveSectionId] = useState('');
+}
 
-    // Ref for the main content area to observe scroll
-    const mainContentRef = useRef(null);
-    // Refs for ALL sections (main and sub) to observe their visibility for TOC highlighting
-    const allSectionRefs = useRef({});
+// Component for a thin progress bar with a "done/total" label
+function ProgressBar({ counts, label, className = '' }) {
+    const value = percent(counts);
+    return (
+        <div className={className}>
+            <div className="flex justify-between text-xs text-gray-600 dark:text-gray-400 mb-1">
+                {label && <span>{label}</span>}
+                <span className="ml-auto">{counts.done}/{counts.total}</span>
+            </div>
+            <div className="h-1.5 w-full bg-gray-200 dark:bg-gray-700 rounded-full overflow-hidden" role="progressbar" aria-valuenow={value} aria-valuemin={0} aria-valuemax={100} aria-label={label || 'Progress'}>
+                <div className={`h-full rounded-full transition-all duration-300 ${value === 100 ? 'bg-green-500' : 'bg-blue-500'}`} style={{ width: `${value}%` }}></div>
+            </div>
+        </div>
+    );
+}
 
-    // Filter content based on search query - MOVED THIS UP
-    const filteredContent = checklistContent.filter((mainSection) => {
-        const lowerCaseQuery = searchQuery.toLowerCase();
-        const matchesMainTitle = mainSection.title.toLowerCase().includes(lowerCaseQuery);
-
-        const matchesSubSections = mainSection.sections.some((subSection) => {
-            const matchesSubTitle = subSection.title.toLowerCase().includes(lowerCaseQuery);
-            const matchesSubDescription = subSection.description.toLowerCase().includes(lowerCaseQuery);
-            const matchesContentBlocks = subSection.contentBlocks.some(block => {
-                if (block.type === 'command' && block.commands && block.commands.some(cmd => cmd.toLowerCase().includes(lowerCaseQuery))) return true;
-                if (block.type === 'pitfall' && (
-                    (block.title && block.title.toLowerCase().includes(lowerCaseQuery)) ||
-                    (block.content && block.content.toLowerCase().includes(lowerCaseQuery)) ||
-                    (block.fix && block.fix.toLowerCase().includes(lowerCaseQuery))
-                )) return true;
-                if (block.type === 'text' && block.content && block.content.toLowerCase().includes(lowerCaseQuery)) return true;
-                return false;
-            });
-            return matchesSubTitle || matchesSubDescription || matchesContentBlocks;
-        });
-        return matchesMainTitle || matchesSubSections;
-    }).map(mainSection => ({
-        ...mainSection,
-        sections: mainSection.sections.filter(subSection => {
-            const lowerCaseQuery = searchQuery.toLowerCase(); // Re-define for scope safety, or pass from outer scope
-            const matchesSubTitle = subSection.title.toLowerCase().includes(lowerCaseQuery);
-            const matchesSubDescription = subSection.description.toLowerCase().includes(lowerCaseQuery);
-            const matchesContentBlocks = subSection.contentBlocks.some(block => {
-                if (block.type === 'command' && block.commands && block.commands.some(cmd => cmd.toLowerCase().includes(lowerCaseQuery))) return true;
-                if (block.type === 'pitfall' && (
-                    (block.title && block.title.toLowerCase().includes(lowerCaseQuery)) ||
-                    (block.content && block.content.toLowerCase().includes(lowerCaseQuery)) ||
-                    (block.fix && block.fix.toLowerCase().includes(lowerCaseQuery))
-                )) return true;
-                if (block.type === 'text' && block.content && block.content.toLowerCase().includes(lowerCaseQuery)) return true;
-                return false;
-            });
-            return matchesSubTitle || matchesSubDescription || matchesContentBlocks;
-        })
-    }));
+// Component rendering text with search matches marked
+function Highlight({ text, tokens }) {
+    if (!tokens || tokens.length === 0) return text;
+    return highlightSegments(text, tokens).map((segment, index) => (
+        segment.match ? (
+            <mark key={index} className="bg-yellow-300 text-gray-900 dark:bg-yellow-500 rounded px-0.5">{segment.text}</mark>
+        ) : (
+            <React.Fragment key={index}>{segment.text}</React.Fragment>
+        )
+    ));
+}
 
+// Highlighted lines of one command entry with the profile applied. Tokens holding a profile
+// value carry 'range' ({ field }) so they can be marked.
+const highlightCommand = (command, language, profile) => {
+    const segments = substituteTokens(command, profile);
+    const ranges = [];
+    let offset = 0;
+    segments.forEach((segment) => {
+        if (segment.substituted) ranges.push({ start: offset, end: offset + segment.text.length, field: segment.field });
+        offset += segment.text.length;
+    });
+    return overlayRanges(highlightCode(segments.map(segment => segment.text).join(''), entryLanguage(command, language)), ranges);
+};
 
-    // Effect to apply theme to the document body and save to localStorage
-    useEffect(() => {
-        document.documentElement.classList.remove('light', 'dark');
-        document.documentElement.classList.add(theme);
-        localStorage.setItem('theme', theme);
-    }, [theme]);
+// Component for the Search Bar with block type filters and hit navigation. Declared at
+// module level so the input keeps focus while App re-renders on every keystroke.
+function SearchBar({ searchQuery, setSearchQuery, filter, setFilter, hitCount, activeHitIndex, onNavigate }) {
+    const navButtonClassName = 'px-3 py-1.5 rounded-lg text-sm bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-200 hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed';
 
-    // Function to toggle theme
-    const toggleTheme = () => {
-        setTheme((prevTheme) => (prevTheme === 'light' ? 'dark' : 'light'));
-    };
+    return (
+        <div className="mb-8 p-4 bg-gray-100 dark:bg-gray-800 rounded-lg shadow-inner">
+            <label htmlFor="search-input" className="sr-only">Search checklist</label>
+            <input
+                id="search-input"
+                type="text"
+                placeholder="Search checklist... (Enter for next hit, Shift+Enter for previous)"
+                value={searchQuery}
+                onChange={(e) => setSearchQuery(e.target.value)}
+                onKeyDown={(e) => {
+                    if (e.key === 'Enter' && hitCount > 0) {
+                        e.preventDefault();
+                        onNavigate(e.shiftKey ? -1 : 1);
+                    } else if (e.key === 'Escape') {
+                        setSearchQuery('');
+                    }
+                }}
+                className="w-full p-3 border border-gray-300 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 dark:bg-gray-700 dark:text-white dark:placeholder-gray-400"
+                aria-label="Search checklist"
+            />
+            <div className="mt-3 flex flex-wrap items-center gap-2 text-sm">
+                <div className="flex rounded-lg overflow-hidden border border-gray-300 dark:border-gray-600" role="group" aria-label="Search in">
+                    {SEARCH_FILTERS.map(option => (
+                        <button
+                            key={option.id}
+                            onClick={() => setFilter(option.id)}
+                            aria-pressed={filter === option.id}
+                            className={`px-3 py-1.5 focus:outline-none focus:ring-2 focus:ring-inset focus:ring-blue-500 ${filter === option.id
+                                ? 'bg-blue-600 text-white dark:bg-blue-500'
+                                : 'bg-white text-gray-700 hover:bg-gray-50 dark:bg-gray-700 dark:text-gray-200 dark:hover:bg-gray-600'}`}
+                        >
+                            {option.label}
+                        </button>
+                    ))}
+                </div>
+                {searchQuery.trim() !== '' && (
+                    <div className="ml-auto flex items-center gap-2">
+                        <span className="text-gray-600 dark:text-gray-400" aria-live="polite">
+                            {hitCount > 0 ? `${activeHitIndex + 1} of ${hitCount}` : 'No matches'}
+                        </span>
+                        <button onClick={() => onNavigate(-1)} disabled={hitCount === 0} className={navButtonClassName} aria-label="Previous match">↑</button>
+                        <button onClick={() => onNavigate(1)} disabled={hitCount === 0} className={navButtonClassName} aria-label="Next match">↓</button>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
 
-    // Effect to set up IntersectionObserver for TOC active highlighting
-    useEffect(() => {
-        // Create an array of all unique section IDs that should be observed
-        const allObservableIds = [];
-        filteredContent.forEach(mainSec => {
-            allObservableIds.push(mainSec.id);
-            mainSec.sections.forEach(subSec => allObservableIds.push(subSec.id));
-        });
+// Component for the Deployment Profile form. Declared at module level so its inputs
+// keep focus while App re-renders on every keystroke.
+function ProfileForm({ profile, onChange, onReset }) {
+    const [isOpen, setIsOpen] = useState(false);
+    const active = isProfileActive(profile);
 
-        const observerOptions = {
-            root: mainContentRef.current, // Observe within the main content scroll area
-            rootMargin: '0px 0px -50% 0px', // When 50% of the section is visible
-            threshold: 0,
-        };
+    return (
+        <div className="mb-8 p-4 bg-gray-100 dark:bg-gray-800 rounded-lg shadow-inner">
+            <button
+                className="flex justify-between items-center w-full text-left font-semibold text-gray-800 dark:text-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500 rounded-lg"
+                onClick={() => setIsOpen(!isOpen)}
+                aria-expanded={isOpen}
+                aria-controls="deployment-profile-form"
+            >
+                <span>
+                    Deployment Profile
+                    {active && (
+                        <span className="ml-2 inline-block bg-green-100 text-green-800 text-xs font-medium px-2.5 py-0.5 rounded-full dark:bg-green-900 dark:text-green-300">
+                            Applied to commands
+                        </span>
+                    )}
+                </span>
+                <svg className={`w-5 h-5 transform transition-transform duration-300 ${isOpen ? 'rotate-180' : ''}`} fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 9l-7 7-7-7"></path></svg>
+            </button>
+            {isOpen && (
+                <div id="deployment-profile-form" className="mt-4">
+                    <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
+                        Fill in your own values and every command below is rendered and copied with them substituted. Leave a field empty to keep the placeholder.
+                    </p>
+                    <div className="grid sm:grid-cols-2 gap-4">
+                        {PROFILE_FIELDS.map((field) => (
+                            <label key={field.key} className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                                {field.label}
+                                <input
+                                    type="text"
+                                    inputMode={field.inputMode}
+                                    placeholder={field.placeholder}
+                                    value={profile[field.key]}
+                                    onChange={(e) => onChange({ ...profile, [field.key]: e.target.value })}
+                                    className="mt-1 w-full p-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 dark:bg-gray-700 dark:text-white dark:placeholder-gray-400 font-mono text-sm"
+                                />
+                            </label>
+                        ))}
+                    </div>
+                    <button
+                        onClick={onReset}
+                        className="mt-4 px-3 py-1.5 rounded-lg text-sm bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-200 hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                        Clear profile
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+}
 
-        const observer = new IntersectionObserver((entries) => {
-            let highestVisibleSectionId = null;
-            let minDistanceFromTop = Infinity;
-            // Define an "active line" in the top part of the viewport for better UX
-            const activeLineOffset = mainContentRef.current ? mainContentRef.current.getBoundingClientRect().top + (mainContentRef.current.clientHeight * 0.25) : window.innerHeight * 0.25;
+// Component for the setup questionnaire. Until it is answered (or skipped) it asks the
+// questions; afterwards it shows the answers and the toggle for steps they leave out.
+function SetupQuestionnaire({ answers, onChange, showAll, onShowAllChange, hiddenCount }) {
+    const [draft, setDraft] = useState(null);
+    const editing = answers === null || draft !== null;
+    const current = draft || answers || {};
 
+    const finish = (nextAnswers) => {
+        onChange(nextAnswers);
+        setDraft(null);
+    };
 
-            entries.forEach(entry => {
-                if (entry.isIntersecting) {
-                    const rect = entry.boundingClientRect;
+    if (!editing) {
+        const summary = describeSetup(answers);
+        return (
+            <div className="mb-8 p-4 bg-gray-100 dark:bg-gray-800 rounded-lg shadow-inner flex flex-wrap items-center gap-x-4 gap-y-2 text-sm">
+                <span className="font-semibold text-gray-800 dark:text-gray-100">Your setup:</span>
+                <span className="text-gray-700 dark:text-gray-300">{summary.length > 0 ? summary.join(', ') : 'not specified, showing every step'}</span>
+                <button
+                    onClick={() => setDraft(answers)}
+                    className="text-blue-600 dark:text-blue-400 hover:underline focus:outline-none focus:ring-2 focus:ring-blue-500 rounded"
+                >
+                    Change answers
+                </button>
+                {hiddenCount > 0 || showAll ? (
+                    <label className="ml-auto flex items-center text-gray-700 dark:text-gray-300 cursor-pointer">
+                        <input
+                            type="checkbox"
+                            checked={showAll}
+                            onChange={(e) => onShowAllChange(e.target.checked)}
+                            className="mr-2 accent-blue-600"
+                        />
+                        Show all steps{hiddenCount > 0 && ` (${hiddenCount} not needed)`}
+                    </label>
+                ) : null}
+            </div>
+        );
+    }
 
-                    // Calculate the position relative to the scrollable root
-                    const rootRect = mainContentRef.current.getBoundingClientRect();
-                    const relativeTop = rect.top - rootRect.top;
-                    const relativeBottom = rect.bottom - rootRect.top;
+    return (
+        <div className="mb-8 p-4 bg-gray-100 dark:bg-gray-800 rounded-lg shadow-inner">
+            <h2 className="font-semibold text-gray-800 dark:text-gray-100">Tailor the checklist to your setup</h2>
+            <p className="text-sm text-gray-600 dark:text-gray-400 mt-1 mb-4">
+                Steps that don't apply to your answers are hidden. You can change the answers or show every step at any time.
+            </p>
+            <div className="space-y-4">
+                {SETUP_QUESTIONS.map((question) => (
+                    <fieldset key={question.id}>
+                        <legend className="text-sm font-medium text-gray-700 dark:text-gray-300">{question.label}</legend>
+                        {question.hint && <p className="text-xs text-gray-500 dark:text-gray-400">{question.hint}</p>}
+                        <div className="mt-2 flex flex-wrap gap-2">
+                            {question.options.map((option) => (
+                                <button
+                                    key={String(option.value)}
+                                    onClick={() => setDraft({ ...current, [question.id]: option.value })}
+                                    aria-pressed={current[question.id] === option.value}
+                                    className={`px-3 py-1.5 rounded-lg text-sm transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-blue-500 ${current[question.id] === option.value
+                                        ? 'bg-blue-600 text-white dark:bg-blue-500'
+                                        : 'bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-200 hover:bg-gray-300 dark:hover:bg-gray-600'}`}
+                                >
+                                    {option.label}
+                                </button>
+                            ))}
+                        </div>
+                    </fieldset>
+                ))}
+            </div>
+            <div className="mt-4 flex gap-2">
+                <button
+                    onClick={() => finish(current)}
+                    className="px-3 py-1.5 rounded-lg text-sm bg-blue-600 text-white hover:bg-blue-700 transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-blue-500 dark:bg-blue-500 dark:hover:bg-blue-600"
+                >
+                    Done
+                </button>
+                <button
+                    onClick={() => (answers === null ? finish({}) : setDraft(null))}
+                    className="px-3 py-1.5 rounded-lg text-sm bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-200 hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                    {answers === null ? 'Skip, show everything' : 'Cancel'}
+                </button>
+            </div>
+        </div>
+    );
+}
 
-                    // If the section's top is at or above the active line, and its bottom is below it
-                    // This means the section is currently "crossing" or containing the active line
-                    if (relativeTop <= activeLineOffset && relativeBottom > activeLineOffset) {
-                        // We want the section whose top is closest to the active line and is above it,
-                        // or the first one that crosses the line.
-                        if (relativeTop < minDistanceFromTop) {
-                            minDistanceFromTop = relativeTop;
-                            highestVisibleSectionId = entry.target.id;
-                        }
-                    }
-                }
-            });
+// Badge for a step or block the setup answers leave out, shown when all steps are displayed
+function NotNeededBadge() {
+    return (
+        <span className="inline-block bg-gray-200 text-gray-700 text-xs font-medium mr-2 px-2.5 py-0.5 rounded-full dark:bg-gray-700 dark:text-gray-300">
+            Not needed for your setup
+        </span>
+    );
+}
 
-            // Fallback for very top of the page: if nothing else is active, highlight the first section
-            // Check if scroll position is very close to the top
-            if (!highestVisibleSectionId && mainContentRef.current && mainContentRef.current.scrollTop < 100 && filteredContent.length > 0) {
-                 highestVisibleSectionId = filteredContent[0].id; // First main section
-            }
-            // Fallback for very bottom of the page: if no new section is crossing the line,
-            // and we're at the bottom, highlight the last applicable section.
-            else if (!highestVisibleSectionId && mainContentRef.current &&
-                     mainContentRef.current.scrollTop + mainContentRef.current.clientHeight >= mainContentRef.current.scrollHeight - 100 && filteredContent.length > 0) {
-                 const lastMainSection = filteredContent[filteredContent.length - 1];
-                 const lastSubSection = lastMainSection.sections[lastMainSection.sections.length - 1];
-                 highestVisibleSectionId = lastSubSection ? lastSubSection.id : lastMainSection.id;
-            }
+// Component for a modal previewing a generated file with a download button.
+// 'notice' replaces the preview when the file can't be generated yet.
+function ExportDialog({ title, filename, content, notice, warnings, onClose }) {
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') onClose();
+        };
+        document.addEventListener('keydown', handleKeyDown);
+        return () => document.removeEventListener('keydown', handleKeyDown);
+    }, [onClose]);
 
+    return (
+        <div className="fixed inset-0 z-[90] bg-black/60 flex items-center justify-center p-4" role="dialog" aria-modal="true" aria-labelledby="export-dialog-title" onClick={onClose}>
+            <div className="bg-white dark:bg-gray-900 rounded-xl shadow-xl max-w-4xl w-full max-h-[85vh] flex flex-col p-6" onClick={(e) => e.stopPropagation()}>
+                <div className="flex items-center justify-between mb-4 gap-4">
+                    <h2 id="export-dialog-title" className="text-xl font-bold text-gray-900 dark:text-gray-50">
+                        {title} <span className="font-mono text-base text-gray-500 dark:text-gray-400">{filename}</span>
+                    </h2>
+                    <div className="flex items-center gap-2">
+                        {!notice && (
+                            <button
+                                onClick={() => downloadText(filename, content)}
+                                className="px-3 py-1.5 rounded-lg text-sm bg-blue-600 text-white hover:bg-blue-700 transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-blue-500 dark:bg-blue-500 dark:hover:bg-blue-600"
+                            >
+                                Download
+                            </button>
+                        )}
+                        <button
+                            onClick={onClose}
+                            className="px-3 py-1.5 rounded-lg text-sm bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-200 hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        >
+                            Close
+                        </button>
+                    </div>
+                </div>
+                {!notice && <Warnings warnings={warnings} />}
+                {notice ? (
+                    <p className="text-gray-700 dark:text-gray-300">{notice}</p>
+                ) : (
+                    <pre className={`${codeSurfaceClassName} rounded-lg p-4 font-mono text-sm overflow-auto custom-scrollbar`}>
+                        <code>
+                            <CodeLines lines={highlightCode(content, languageForPath(filename) || 'text')} wrap={false} />
+                        </code>
+                    </pre>
+                )}
+            </div>
+        </div>
+    );
+}
 
-            if (highestVisibleSectionId && highestVisibleSectionId !== activeSectionId) {
-                setActiveSectionId(highestVisibleSectionId);
-            }
-        }, observerOptions);
+// Component for the recent-copies drawer: a toggle in the bottom-left corner opening a panel
+// with the last copied snippets, each of which can be copied again
+function CopyHistoryDrawer({ history, onClear }) {
+    const [isOpen, setIsOpen] = useState(false);
+    const [copiedIndex, setCopiedIndex] = useState(null);
 
-        // Disconnect previous observer instances if dependencies change, then re-observe
-        Object.values(allSectionRefs.current).forEach((ref) => {
-            if (ref) {
-                observer.unobserve(ref); // Unobserve all before re-observing
-            }
-        });
+    if (history.length === 0) return null;
 
-        // Observe all *currently visible and filtered* sections
-        allObservableIds.forEach((id) => {
-            const ref = allSectionRefs.current[id];
-            if (ref) {
-                observer.observe(ref);
-            }
+    const handleCopyAgain = (entry) => {
+        copyToClipboard(entry.text, { label: entry.label }).then((ok) => {
+            if (!ok) return;
+            // A copied entry moves to the top of the history
+            setCopiedIndex(0);
+            setTimeout(() => setCopiedIndex(null), 2000);
         });
+    };
 
-        // Disconnect observer on cleanup
-        return () => {
-            observer.disconnect();
-        };
-    }, [filteredContent, mainContentRef.current]); // Re-run if filtered content changes or scroll root changes
+    return (
+        <div className="fixed bottom-4 left-4 z-[60] flex flex-col items-start gap-2">
+            {isOpen && (
+                <div className="w-[min(28rem,calc(100vw-2rem))] max-h-[60vh] flex flex-col bg-white dark:bg-gray-900 border border-gray-200 dark:border-gray-700 rounded-xl shadow-xl" role="dialog" aria-label="Recent copies">
+                    <div className="flex items-center justify-between p-3 border-b border-gray-200 dark:border-gray-700">
+                        <h2 className="font-semibold text-gray-900 dark:text-gray-50">Recent copies</h2>
+                        <button onClick={onClear} className="text-xs text-blue-600 dark:text-blue-400 hover:underline">
+                            Clear
+                        </button>
+                    </div>
+                    <ul className="overflow-y-auto custom-scrollbar p-3 space-y-3">
+                        {history.map((entry, index) => (
+                            <li key={`${entry.copiedAt}-${index}`}>
+                                <div className="flex items-center justify-between gap-2 text-xs text-gray-600 dark:text-gray-400">
+                                    <span className="truncate">
+                                        {entry.label || 'Snippet'} · {new Date(entry.copiedAt).toLocaleTimeString()}
+                                    </span>
+                                    <button
+                                        onClick={() => handleCopyAgain(entry)}
+                                        className="shrink-0 px-2 py-0.5 rounded bg-blue-600 text-white hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                    >
+                                        {copiedIndex === index ? 'Copied!' : 'Copy'}
+                                    </button>
+                                </div>
+                                <pre className={`${codeSurfaceClassName} mt-1 p-2 rounded text-xs font-mono max-h-24 overflow-hidden whitespace-pre-wrap break-all`}>{entry.text}</pre>
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+            <button
+                onClick={() => setIsOpen(open => !open)}
+                className="px-3 py-2 rounded-lg text-sm shadow-lg bg-white dark:bg-gray-800 text-gray-800 dark:text-gray-200 border border-gray-200 dark:border-gray-700 hover:bg-gray-100 dark:hover:bg-gray-700 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                aria-expanded={isOpen}
+            >
+                {isOpen ? 'Hide recent copies' : `Recent copies (${history.length})`}
+            </button>
+        </div>
+    );
+}
 
+// Component for the notice shown when copying failed, so the user knows to copy by hand
+function CopyErrorToast({ failure, onDismiss }) {
+    useEffect(() => {
+        if (!failure) return undefined;
+        const timer = setTimeout(onDismiss, 8000);
+        return () => clearTimeout(timer);
+    }, [failure, onDismiss]);
 
-    // Component for a styled button (e.g., for "Back to Top")
-    const Button = ({ children, onClick, className = '' }) => (
+    if (!failure) return null;
+    return (
+        <div className="fixed top-20 left-1/2 -translate-x-1/2 z-[95] max-w-md w-[calc(100vw-2rem)] p-4 rounded-lg shadow-xl border-l-4 bg-red-50 border-red-500 text-red-800 dark:bg-red-950 dark:border-red-600 dark:text-red-200" role="alert">
+            <div className="flex items-start justify-between gap-4">
+                <p className="text-sm">
+                    Couldn't copy{failure.label ? ` from "${failure.label}"` : ''}: {failure.error && failure.error.message ? failure.error.message : 'clipboard access was denied'}.
+                    Select the text and press Ctrl+C (⌘C on macOS) instead.
+                </p>
+                <button onClick={onDismiss} className="text-sm font-semibold hover:underline" aria-label="Dismiss">
+                    ✕
+                </button>
+            </div>
+        </div>
+    );
+}
+
+// Component for a styled button (e.g., for "Back to Top")
+function Button({ children, onClick, className = '' }) {
+    return (
         <button
             onClick={onClick}
             className={`px-4 py-2 rounded-lg bg-blue-600 text-white hover:bg-blue-700 transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 dark:bg-blue-500 dark:hover:bg-blue-600 dark:focus:ring-offset-gray-800 ${className}`}
@@ -812,37 +471,84 @@ function App() {
             {children}
         </button>
     );
+}
 
-    // Component for the Header (sticky, contains breadcrumbs and theme toggle)
-    const Header = ({ breadcrumbs, onBackToTop, theme, toggleTheme }) => {
-        return (
-            <header className="fixed top-0 left-0 right-0 bg-white dark:bg-gray-900 border-b border-gray-200 dark:border-gray-700 shadow-sm z-50 p-4 flex items-center justify-between flex-wrap gap-2">
-                <nav aria-label="Breadcrumb" className="text-sm font-medium text-gray-700 dark:text-gray-300">
-                    <ol className="flex space-x-2 items-center">
-                        <li><a href="#" className="hover:text-blue-600 dark:hover:text-blue-400">Home</a></li>
-                        {breadcrumbs.map((crumb, index) => (
-                            <li key={index} className="flex items-center">
-                                <span className="mx-2">/</span>
-                                <a href={`#${crumb.id}`} className="hover:text-blue-600 dark:hover:text-blue-400">
-                                    {crumb.label}
-                                </a>
-                            </li>
+// Component for the Header (sticky, contains breadcrumbs and theme toggle)
+function Header({ breadcrumbs, onNavigate, onBackToTop, theme, toggleTheme, targetOs, onTargetOsChange, pythonVersion, onPythonVersionChange }) {
+    return (
+        <header className="fixed top-0 left-0 right-0 bg-white dark:bg-gray-900 border-b border-gray-200 dark:border-gray-700 shadow-sm z-50 p-4 flex items-center justify-between flex-wrap gap-2">
+            <nav aria-label="Breadcrumb" className="text-sm font-medium text-gray-700 dark:text-gray-300 min-w-0">
+                <ol className="flex space-x-2 items-center min-w-0">
+                    <li>
+                        <a
+                            href="#/"
+                            onClick={(e) => {
+                                e.preventDefault();
+                                onNavigate(null);
+                            }}
+                            className="hover:text-blue-600 dark:hover:text-blue-400"
+                        >
+                            Home
+                        </a>
+                    </li>
+                    {breadcrumbs.map((crumb, index) => (
+                        <li key={crumb.id} className="flex items-center min-w-0">
+                            <span className="mx-2">/</span>
+                            <a
+                                href={routeHash(crumb.route)}
+                                onClick={(e) => {
+                                    e.preventDefault();
+                                    onNavigate(crumb.route);
+                                }}
+                                className="hover:text-blue-600 dark:hover:text-blue-400 truncate max-w-[16rem]"
+                                aria-current={index === breadcrumbs.length - 1 ? 'location' : undefined}
+                            >
+                                {crumb.label}
+                            </a>
+                        </li>
+                    ))}
+                </ol>
+            </nav>
+            <div className="flex items-center space-x-4">
+                <label className="flex items-center text-sm font-medium text-gray-700 dark:text-gray-300">
+                    <span className="mr-2 hidden sm:inline">Target OS</span>
+                    <select
+                        value={targetOs}
+                        onChange={(e) => onTargetOsChange(e.target.value)}
+                        className="p-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-800 dark:text-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        aria-label="Target operating system"
+                    >
+                        {OS_OPTIONS.map(option => (
+                            <option key={option.id} value={option.id}>{option.label}</option>
                         ))}
-                    </ol>
-                </nav>
-                <div className="flex items-center space-x-4">
-                    <Button onClick={onBackToTop} className="flex items-center text-sm">
-                        <svg className="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M5 10l7-7m0 0l7 7m-7-7v18"></path></svg>
-                        Back to Top
-                    </Button>
-                    <ThemeToggle theme={theme} toggleTheme={toggleTheme} />
-                </div>
-            </header>
-        );
-    };
+                    </select>
+                </label>
+                <label className="flex items-center text-sm font-medium text-gray-700 dark:text-gray-300">
+                    <span className="mr-2 hidden sm:inline">Python</span>
+                    <select
+                        value={pythonVersion}
+                        onChange={(e) => onPythonVersionChange(e.target.value)}
+                        className="p-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-800 dark:text-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        aria-label="Python version"
+                    >
+                        {PYTHON_VERSIONS.map(option => (
+                            <option key={option.id} value={option.id}>{option.id}</option>
+                        ))}
+                    </select>
+                </label>
+                <Button onClick={onBackToTop} className="flex items-center text-sm">
+                    <svg className="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M5 10l7-7m0 0l7 7m-7-7v18"></path></svg>
+                    Back to Top
+                </Button>
+                <ThemeToggle theme={theme} toggleTheme={toggleTheme} />
+            </div>
+        </header>
+    );
+}
 
-    // Component for Theme Toggle
-    const ThemeToggle = ({ theme, toggleTheme }) => (
+// Component for Theme Toggle
+function ThemeToggle({ theme, toggleTheme }) {
+    return (
         <button
             onClick={toggleTheme}
             aria-label={`Switch to ${theme === 'light' ? 'dark' : 'light'} mode`}
@@ -859,164 +565,259 @@ function App() {
             )}
         </button>
     );
+}
 
-    // Component for Search Bar - now memoized for focus stability
-    const SearchBar = React.memo(({ searchQuery, setSearchQuery }) => (
-        <div className="mb-8 p-4 bg-gray-100 dark:bg-gray-800 rounded-lg shadow-inner">
-            <label htmlFor="search-input" className="sr-only">Search checklist</label>
-            <input
-                id="search-input"
-                type="text"
-                placeholder="Search checklist..."
-                value={searchQuery}
-                onChange={(e) => setSearchQuery(e.target.value)}
-                className="w-full p-3 border border-gray-300 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 dark:bg-gray-700 dark:text-white dark:placeholder-gray-400"
-                aria-label="Search checklist"
-            />
-        </div>
+// Component for Code Block with Copy Button
+function CodeBlockWithCopy({ commands, language = 'bash', profile, highlightTokens, label = '' }) {
+    // What was copied last: 'all', 'commands' or the index of an entry (null when reset)
+    const [copied, setCopied] = useState(null);
+
+    // Highlighted entries; line numbers run on across the entries of the block
+    const entries = useMemo(() => {
+        const result = [];
+        commands.forEach((cmd) => {
+            const previous = result[result.length - 1];
+            result.push({ lines: highlightCommand(cmd, language, profile), startLine: previous ? previous.startLine + previous.lines.length : 1 });
+        });
+        return result;
+    }, [commands, language, profile]);
+
+    const applied = useMemo(() => commands.map(cmd => applyProfile(cmd, profile)), [commands, profile]);
+    // Commands without comments, blank separators and editor file bodies; offered only when that differs
+    const commandsOnly = language === 'bash' ? shellCommands(applied) : [];
+    const offerCommandsOnly = commandsOnly.length > 0 && commandsOnly.length < applied.length;
+
+    const renderToken = (token, key) => (token.range ? (
+        <mark key={key} className="bg-green-700 text-green-50 rounded px-0.5" title={`From profile: ${token.range.field}`}>{token.text}</mark>
+    ) : (
+        <span key={key} className={TOKEN_CLASSES[token.type]}><Highlight text={token.text} tokens={highlightTokens} /></span>
     ));
 
-    // Component for Code Block with Copy Button
-    const CodeBlockWithCopy = ({ commands, language = 'bash' }) => {
-        const [copied, setCopied] = useState(false);
-
-        const handleCopy = (text) => {
-            // Using document.execCommand('copy') for better iFrame compatibility
-            const textarea = document.createElement('textarea');
-            textarea.value = text;
-            textarea.style.position = 'fixed'; // Avoid scrolling to bottom
-            document.body.appendChild(textarea);
-            textarea.select();
-            try {
-                document.execCommand('copy');
-                setCopied(true);
-                setTimeout(() => setCopied(false), 2000); // Reset copied state after 2 seconds
-            } catch (err) {
-                console.error('Failed to copy text: ', err);
-            } finally {
-                document.body.removeChild(textarea);
-            }
-        };
+    const handleCopy = (text, what) => {
+        copyToClipboard(text, { label }).then((ok) => {
+            if (!ok) return;
+            setCopied(what);
+            setTimeout(() => setCopied(current => (current === what ? null : current)), 2000); // Reset copied state after 2 seconds
+        });
+    };
 
-        return (
-            <div className="bg-gray-800 dark:bg-gray-950 rounded-lg p-4 my-4 relative font-mono text-sm text-gray-50 overflow-x-auto">
+    const toolbarButtonClassName = 'px-2 py-1 rounded-lg text-xs transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+    return (
+        <div className={`${codeSurfaceClassName} rounded-lg p-4 my-4 font-mono text-sm overflow-x-auto`}>
+            <div className="flex justify-end gap-2 mb-2 font-sans">
+                {offerCommandsOnly && (
+                    <button
+                        onClick={() => handleCopy(commandsOnly.join('\n'), 'commands')}
+                        className={`${toolbarButtonClassName} bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-200 hover:bg-gray-300 dark:hover:bg-gray-600`}
+                        title="Copy only the commands to paste into a terminal, without comments and file contents"
+                    >
+                        {copied === 'commands' ? 'Copied!' : 'Copy commands only'}
+                    </button>
+                )}
                 <button
-                    onClick={() => handleCopy(commands.join('\n'))}
-                    className="absolute top-2 right-2 p-2 rounded-lg bg-blue-600 text-white hover:bg-blue-700 transition-colors duration-200 text-xs focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    onClick={() => handleCopy(applied.join('\n'), 'all')}
+                    className={`${toolbarButtonClassName} bg-blue-600 text-white hover:bg-blue-700`}
                     aria-label="Copy code to clipboard"
                 >
-                    {copied ? 'Copied!' : 'Copy'}
+                    {copied === 'all' ? 'Copied!' : 'Copy'}
                 </button>
-                <pre className="whitespace-pre-wrap">
-                    <code>
-                        {commands.map((cmd, index) => (
-                            <div key={index} className="py-0.5">{cmd}</div>
-                        ))}
-                    </code>
-                </pre>
             </div>
-        );
+            <pre>
+                <code>
+                    {entries.map(({ lines, startLine }, index) => {
+                        const entry = applied[index];
+                        const copyable = commands.length > 1 && entry.trim() !== '' && !(entry.trim().startsWith('#') && !entry.includes('\n'));
+                        return (
+                            <div key={index} className="group relative py-0.5 pr-16">
+                                <CodeLines lines={lines} startLine={startLine} renderToken={renderToken} />
+                                {copyable && (
+                                    <button
+                                        onClick={() => handleCopy(copyableEntry(entry), index)}
+                                        className={`absolute top-0 right-0 px-2 py-0.5 rounded font-sans text-xs bg-gray-200 dark:bg-gray-800 text-gray-700 dark:text-gray-300 hover:bg-gray-300 dark:hover:bg-gray-700 focus:outline-none focus:ring-2 focus:ring-blue-500 transition-opacity duration-200 ${copied === index ? 'opacity-100' : 'opacity-0 group-hover:opacity-100 focus:opacity-100'}`}
+                                        aria-label={entry.includes('\n') ? 'Copy this file' : 'Copy this line'}
+                                    >
+                                        {copied === index ? 'Copied!' : 'Copy'}
+                                    </button>
+                                )}
+                            </div>
+                        );
+                    })}
+                </code>
+            </pre>
+        </div>
+    );
+}
+
+// Component for an expandable Alert/Tip with Pitfall and Solution
+function AlertTip({ title, pitfall, solution, blockKey, route, highlightTokens, isOpen, onToggle, onNavigate, isActiveHit = false }) {
+    const [linkCopied, setLinkCopied] = useState(false);
+
+    // Navigate to the pitfall and copy a shareable link to it (without the search)
+    const handleLinkClick = (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        onNavigate(route);
+        copyToClipboard(`${window.location.origin}${window.location.pathname}${routeHash(route)}`, { label: `Link to "${title}"` }).then((ok) => {
+            if (!ok) return;
+            setLinkCopied(true);
+            setTimeout(() => setLinkCopied(false), 2000);
+        });
     };
 
-    // Component for an expandable Alert/Tip with Pitfall and Solution
-    const AlertTip = ({ title, pitfall, solution }) => {
-        const [isOpen, setIsOpen] = useState(false);
+    return (
+        <div id={`pitfall-${route.pitfallId}`} data-block-key={blockKey} className={`bg-yellow-100 dark:bg-yellow-900 border-l-4 border-yellow-500 dark:border-yellow-600 p-4 my-4 rounded-lg shadow-sm ${isActiveHit ? 'ring-2 ring-blue-500' : ''}`} role="alert">
+            <div className="flex items-center justify-between cursor-pointer" onClick={onToggle} aria-expanded={isOpen} aria-controls={`alert-content-${title.replace(/\s+/g, '-')}`}>
+                <h3 className="font-semibold text-yellow-800 dark:text-yellow-200 flex items-center">
+                    <svg className="w-5 h-5 mr-2 text-yellow-600 dark:text-yellow-400" fill="currentColor" viewBox="0 0 20 20" xmlns="http://www.w3.org/2000/svg"><path fillRule="evenodd" d="M8.257 3.099c.765-1.36 2.722-1.36 3.486 0l5.58 9.92c.75 1.334-.213 2.98-1.742 2.98H4.42c-1.53 0-2.493-1.646-1.743-2.98l5.58-9.92zM11 13a1 1 0 11-2 0 1 1 0 012 0zm-1-8a1 1 0 00-1 1v3a1 1 0 002 0V6a1 1 0 00-1-1z" clipRule="evenodd"></path></svg>
+                    <Highlight text={title} tokens={highlightTokens} />
+                    <a
+                        href={routeHash(route)}
+                        onClick={handleLinkClick}
+                        className="ml-2 text-sm font-normal text-yellow-700 dark:text-yellow-300 hover:underline"
+                        title="Copy link to this pitfall"
+                        aria-label={`Copy link to "${title}"`}
+                    >
+                        {linkCopied ? 'Link copied' : '#'}
+                    </a>
+                </h3>
+                <span className="text-yellow-800 dark:text-yellow-200">
+                    {isOpen ? (
+                        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M5 15l7-7 7 7"></path></svg>
+                    ) : (
+                        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 9l-7 7-7-7"></path></svg>
+                    )}
+                </span>
+            </div>
+            <div id={`alert-content-${title.replace(/\s+/g, '-')}`} className={`overflow-hidden transition-all duration-300 ease-in-out ${isOpen ? 'max-h-96 opacity-100 mt-2' : 'max-h-0 opacity-0'}`}>
+                <p className="text-yellow-700 dark:text-yellow-300 mt-2">
+                    <span className="font-semibold">Pitfall:</span> <Highlight text={pitfall} tokens={highlightTokens} />
+                </p>
+                {solution && (
+                    <p className="text-yellow-700 dark:text-yellow-300 mt-2">
+                        <span className="font-semibold">Solution:</span> <Highlight text={solution} tokens={highlightTokens} />
+                    </p>
+                )}
+            </div>
+        </div>
+    );
+}
+
+// Component for Collapsible Accordion sections
+function Accordion({ id, mainSectionId, title, description, when, contentBlocks, allSectionRefs, profile, targetOs, pythonVersion, setupAnswers, progress, onToggleCompleted, search, activeHitKey, expanded, onToggleExpanded, onNavigate }) {
+    const isOpen = Boolean(expanded.steps[id]);
+    const isDone = Boolean(progress[id]);
 
-        return (
-            <div className="bg-yellow-100 dark:bg-yellow-900 border-l-4 border-yellow-500 dark:border-yellow-600 p-4 my-4 rounded-lg shadow-sm" role="alert">
-                <div className="flex items-center justify-between cursor-pointer" onClick={() => setIsOpen(!isOpen)} aria-expanded={isOpen} aria-controls={`alert-content-${title.replace(/\s+/g, '-')}`}>
-                    <h3 className="font-semibold text-yellow-800 dark:text-yellow-200 flex items-center">
-                        <svg className="w-5 h-5 mr-2 text-yellow-600 dark:text-yellow-400" fill="currentColor" viewBox="0 0 20 20" xmlns="http://www.w3.org/2000/svg"><path fillRule="evenodd" d="M8.257 3.099c.765-1.36 2.722-1.36 3.486 0l5.58 9.92c.75 1.334-.213 2.98-1.742 2.98H4.42c-1.53 0-2.493-1.646-1.743-2.98l5.58-9.92zM11 13a1 1 0 11-2 0 1 1 0 012 0zm-1-8a1 1 0 00-1 1v3a1 1 0 002 0V6a1 1 0 00-1-1z" clipRule="evenodd"></path></svg>
-                        {title}
-                    </h3>
-                    <span className="text-yellow-800 dark:text-yellow-200">
+    // Blocks the setup leaves out are only rendered when all steps are shown; mark them
+    const withSetupBadge = (block, element) => (matchesSetup(block, setupAnswers) ? element : (
+        <div key={block.key}>
+            <NotNeededBadge />
+            {element}
+        </div>
+    ));
+
+    return (
+        <div id={id} ref={(el) => (allSectionRefs.current[id] = el)} className="border border-gray-200 dark:border-gray-700 rounded-lg mb-4 bg-white dark:bg-gray-800 shadow-md">
+            <h2 className="mb-0 flex items-center">
+                <input
+                    type="checkbox"
+                    checked={isDone}
+                    onChange={(e) => onToggleCompleted(id, e.target.checked)}
+                    className="ml-5 w-5 h-5 shrink-0 accent-green-600 cursor-pointer"
+                    aria-label={`Mark "${title}" as done`}
+                />
+                <button
+                    className={`flex justify-between items-center w-full p-5 text-left font-semibold focus:outline-none focus:ring-2 focus:ring-blue-500 rounded-lg ${isDone ? 'text-gray-500 dark:text-gray-400 line-through' : 'text-gray-800 dark:text-gray-100'}`}
+                    onClick={() => onToggleExpanded('steps', id)}
+                    aria-expanded={isOpen}
+                    aria-controls={`accordion-content-${id}`}
+                >
+                    <span>
+                        <span className={activeHitKey === id ? 'underline decoration-blue-500 decoration-2' : ''}>
+                            <Highlight text={title} tokens={search.tokens} />
+                        </span>
+                        {!matchesSetup({ when }, setupAnswers) && <span className="ml-2 no-underline"><NotNeededBadge /></span>}
+                    </span>
+                    <span className="transform transition-transform duration-300 ease-in-out">
                         {isOpen ? (
                             <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M5 15l7-7 7 7"></path></svg>
                         ) : (
                             <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 9l-7 7-7-7"></path></svg>
                         )}
                     </span>
-                </div>
-                <div id={`alert-content-${title.replace(/\s+/g, '-')}`} className={`overflow-hidden transition-all duration-300 ease-in-out ${isOpen ? 'max-h-96 opacity-100 mt-2' : 'max-h-0 opacity-0'}`}>
-                    <p className="text-yellow-700 dark:text-yellow-300 mt-2">
-                        <span className="font-semibold">Pitfall:</span> {pitfall}
-                    </p>
-                    {solution && (
-                        <p className="text-yellow-700 dark:text-yellow-300 mt-2">
-                            <span className="font-semibold">Solution:</span> {solution}
-                        </p>
-                    )}
-                </div>
-            </div>
-        );
-    };
-
-    // Component for Collapsible Accordion sections
-    const Accordion = ({ id, title, description, contentBlocks, defaultOpen = false, allSectionRefs }) => {
-        const [isOpen, setIsOpen] = useState(defaultOpen);
-
-        return (
-            <div id={id} ref={(el) => (allSectionRefs.current[id] = el)} className="border border-gray-200 dark:border-gray-700 rounded-lg mb-4 bg-white dark:bg-gray-800 shadow-md">
-                <h2 className="mb-0">
-                    <button
-                        className="flex justify-between items-center w-full p-5 text-left font-semibold text-gray-800 dark:text-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500 rounded-lg"
-                        onClick={() => setIsOpen(!isOpen)}
-                        aria-expanded={isOpen}
-                        aria-controls={`accordion-content-${id}`}
-                    >
-                        {title}
-                        <span className="transform transition-transform duration-300 ease-in-out">
-                            {isOpen ? (
-                                <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M5 15l7-7 7 7"></path></svg>
-                            ) : (
-                                <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 9l-7 7-7-7"></path></svg>
-                            )}
-                        </span>
-                    </button>
-                </h2>
-                <div
-                    id={`accordion-content-${id}`}
-                    className={`overflow-hidden transition-all duration-300 ease-in-out ${isOpen ? 'max-h-screen opacity-100' : 'max-h-0 opacity-0'}`}
-                >
-                    <div className="p-5 border-t border-gray-200 dark:border-gray-700">
-                        {description && <p className="text-gray-700 dark:text-gray-300 mb-4">{description}</p>}
-                        {contentBlocks && contentBlocks.map((block, index) => {
-                            if (block.type === 'command') {
-                                return (
-                                    <div key={index} className="mb-4">
-                                        {block.platform && (
-                                            <span className="inline-block bg-blue-100 text-blue-800 text-xs font-medium mr-2 px-2.5 py-0.5 rounded-full dark:bg-blue-900 dark:text-blue-300">
-                                                {block.platform}
-                                            </span>
-                                        )}
-                                        {block.description && <p className="text-gray-600 dark:text-gray-400 text-sm mt-1 mb-2">{block.description}</p>}
-                                        <CodeBlockWithCopy commands={block.commands} language={block.language || 'bash'} />
+                </button>
+            </h2>
+            <div
+                id={`accordion-content-${id}`}
+                className={`overflow-hidden transition-all duration-300 ease-in-out ${isOpen ? 'max-h-none opacity-100' : 'max-h-0 opacity-0'}`}
+            >
+                <div className="p-5 border-t border-gray-200 dark:border-gray-700">
+                    {description && <p className="text-gray-700 dark:text-gray-300 mb-4"><Highlight text={description} tokens={search.tokens} /></p>}
+                    {contentBlocks && contentBlocks.map((block) => {
+                        if (block.type === 'command') {
+                            return (
+                                <div key={block.key} data-block-key={block.key} className={`mb-4 ${activeHitKey === block.key ? 'ring-2 ring-blue-500 rounded-lg p-1' : ''}`}>
+                                    <div className="flex items-center justify-between">
+                                        <div>
+                                            {block.platform && (
+                                                <span className="inline-block bg-blue-100 text-blue-800 text-xs font-medium mr-2 px-2.5 py-0.5 rounded-full dark:bg-blue-900 dark:text-blue-300">
+                                                    {block.platform}
+                                                </span>
+                                            )}
+                                            {!matchesSetup(block, setupAnswers) && <NotNeededBadge />}
+                                        </div>
+                                        <label className="ml-auto flex items-center text-xs text-gray-600 dark:text-gray-400 cursor-pointer">
+                                            <input
+                                                type="checkbox"
+                                                checked={Boolean(progress[block.key])}
+                                                onChange={(e) => onToggleCompleted(block.key, e.target.checked)}
+                                                className="mr-1 accent-green-600"
+                                            />
+                                            Ran this
+                                        </label>
                                     </div>
-                                );
-                            } else if (block.type === 'pitfall') {
-                                return (
-                                    <AlertTip
-                                        key={index}
-                                        title={block.title}
-                                        pitfall={block.content}
-                                        solution={block.fix}
-                                    />
-                                );
-                            } else if (block.type === 'text') {
-                                return (
-                                    <p key={index} className="text-gray-700 dark:text-gray-300 mb-4">{block.content}</p>
-                                );
-                            }
-                            return null;
-                        })}
-                    </div>
+                                    {block.description && <p className="text-gray-600 dark:text-gray-400 text-sm mt-1 mb-2"><Highlight text={block.description} tokens={search.tokens} /></p>}
+                                    <CodeBlockWithCopy commands={block.commands} language={block.language || 'bash'} profile={profile} highlightTokens={search.tokens} label={title} />
+                                </div>
+                            );
+                        } else if (block.type === 'pitfall') {
+                            return withSetupBadge(block, (
+                                <AlertTip
+                                    key={block.key}
+                                    title={block.title}
+                                    pitfall={block.content}
+                                    solution={block.fix}
+                                    blockKey={block.key}
+                                    route={{ mainSectionId, stepId: id, pitfallId: block.id }}
+                                    highlightTokens={search.tokens}
+                                    isOpen={Boolean(expanded.pitfalls[block.key])}
+                                    onToggle={() => onToggleExpanded('pitfalls', block.key)}
+                                    onNavigate={onNavigate}
+                                    isActiveHit={activeHitKey === block.key}
+                                />
+                            ));
+                        } else if (block.type === 'tool' && STEP_TOOLS[block.tool]) {
+                            const Tool = STEP_TOOLS[block.tool];
+                            return withSetupBadge(block, <Tool key={block.key} content={checklistContent} profile={profile} targetOs={targetOs} pythonVersion={pythonVersion} onToggleCompleted={onToggleCompleted} CodeBlock={CodeBlockWithCopy} />);
+                        } else if (block.type === 'text') {
+                            return withSetupBadge(block, (
+                                <p key={block.key} data-block-key={block.key} className={`text-gray-700 dark:text-gray-300 mb-4 ${activeHitKey === block.key ? 'ring-2 ring-blue-500 rounded-lg p-1' : ''}`}>
+                                    <Highlight text={applyProfile(block.content, profile)} tokens={search.tokens} />
+                                </p>
+                            ));
+                        }
+                        return null;
+                    })}
                 </div>
             </div>
-        );
-    };
+        </div>
+    );
+}
 
-    // Component to display a main Checklist Section
-    const ChecklistSection = ({ mainSection, defaultOpen = false, allSectionRefs }) => (
+// Component to display a main Checklist Section. Memoized: the scroll spy re-renders App
+// on scroll, and none of a section's props change then.
+const ChecklistSection = React.memo(function ChecklistSection({ mainSection, allSectionRefs, profile, targetOs, pythonVersion, setupAnswers, progress, onToggleCompleted, search, activeHitKey, expanded, onToggleExpanded, onNavigate }) {
+    return (
         <section id={mainSection.id} ref={(el) => (allSectionRefs.current[mainSection.id] = el)} className="mb-8 p-6 bg-white dark:bg-gray-800 rounded-xl shadow-lg transition-colors duration-200">
             <h2 className="text-3xl font-bold text-gray-900 dark:text-gray-50 mb-6 border-b pb-3 border-gray-200 dark:border-gray-700">
                 {mainSection.title}
@@ -1026,122 +827,473 @@ function App() {
                     <Accordion
                         key={step.id}
                         id={step.id} // Pass id to Accordion so it can attach ref
+                        mainSectionId={mainSection.id}
                         title={step.title}
                         description={step.description}
+                        when={step.when}
                         contentBlocks={step.contentBlocks}
-                        defaultOpen={defaultOpen}
                         allSectionRefs={allSectionRefs} // Pass allSectionRefs
+                        profile={profile}
+                        targetOs={targetOs}
+                        pythonVersion={pythonVersion}
+                        setupAnswers={setupAnswers}
+                        progress={progress}
+                        onToggleCompleted={onToggleCompleted}
+                        search={search}
+                        activeHitKey={activeHitKey}
+                        expanded={expanded}
+                        onToggleExpanded={onToggleExpanded}
+                        onNavigate={onNavigate}
                     />
                 ))}
             </div>
         </section>
     );
+});
 
-    // Component for the Table of Contents
-    const TableOfContents = ({ content, activeSectionId }) => {
-        const scrollToSection = useCallback((id) => {
-            const element = document.getElementById(id);
-            if (element && mainContentRef.current) {
-                // Calculate scroll position relative to the scrollable container
-                const containerRect = mainContentRef.current.getBoundingClientRect();
-                const elementRect = element.getBoundingClientRect();
-                const scrollPosition = elementRect.top + mainContentRef.current.scrollTop - containerRect.top;
-
-                // Adjust for a little padding from the top if desired (e.g., header height)
-                const headerHeight = 80; // Approximate header height
-                mainContentRef.current.scrollTo({
-                    top: scrollPosition - headerHeight,
-                    behavior: 'smooth'
+// Component for the Table of Contents
+function TableOfContents({ content, activeSectionId, progress, progressCounts, onResetProgress, onNavigate }) {
+    return (
+        <nav className="sticky top-[80px] p-4 bg-gray-50 dark:bg-gray-850 rounded-xl shadow-md hidden lg:block h-[calc(100vh-100px)] overflow-y-auto custom-scrollbar transition-colors duration-200" aria-label="Table of Contents">
+            <h3 className="text-xl font-bold text-gray-900 dark:text-gray-50 mb-4 border-b pb-2 border-gray-200 dark:border-gray-700">Contents</h3>
+            <div className="mb-4">
+                <ProgressBar counts={progressCounts.overall} label="Overall progress" />
+                <button
+                    onClick={onResetProgress}
+                    disabled={progressCounts.overall.done === 0}
+                    className="mt-2 text-xs text-blue-600 dark:text-blue-400 hover:underline disabled:text-gray-400 disabled:no-underline disabled:cursor-not-allowed"
+                >
+                    Reset progress
+                </button>
+            </div>
+            <ul>
+                {content.map((mainSection) => (
+                    <li key={mainSection.id} className="mb-2">
+                        <a
+                            href={routeHash({ mainSectionId: mainSection.id })}
+                            onClick={(e) => {
+                                e.preventDefault();
+                                onNavigate({ mainSectionId: mainSection.id });
+                            }}
+                            className={`block py-2 px-3 rounded-lg transition-colors duration-200 ${
+                                activeSectionId === mainSection.id
+                                    ? 'bg-blue-100 text-blue-700 dark:bg-blue-900 dark:text-blue-200 font-semibold'
+                                    : 'text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'
+                            }`}
+                            aria-current={activeSectionId === mainSection.id ? "true" : undefined}
+                        >
+                            {mainSection.title}
+                        </a>
+                        {progressCounts.sections[mainSection.id] && (
+                            <ProgressBar counts={progressCounts.sections[mainSection.id]} className="px-3 mt-1" />
+                        )}
+                        {mainSection.sections.length > 0 && (
+                            <ul className="ml-4 mt-1 border-l-2 border-gray-200 dark:border-gray-700 pl-3">
+                                {mainSection.sections.map((subSection) => (
+                                    <li key={subSection.id} className="mb-1">
+                                        <a
+                                            href={routeHash({ mainSectionId: mainSection.id, stepId: subSection.id })}
+                                            onClick={(e) => {
+                                                e.preventDefault();
+                                                onNavigate({ mainSectionId: mainSection.id, stepId: subSection.id });
+                                            }}
+                                            className={`block py-1 px-2 text-sm rounded-md transition-colors duration-200 ${
+                                                activeSectionId === subSection.id
+                                                    ? 'bg-blue-50 text-blue-600 dark:bg-blue-800 dark:text-blue-300 font-medium'
+                                                    : 'text-gray-600 dark:text-gray-400 hover:bg-gray-50 dark:hover:bg-gray-700'
+                                            }`}
+                                            aria-current={activeSectionId === subSection.id ? "true" : undefined}
+                                        >
+                                            {progress[subSection.id] && <span className="text-green-600 dark:text-green-400 mr-1" aria-label="Done">✓</span>}
+                                            {subSection.title}
+                                        </a>
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+                    </li>
+                ))}
+            </ul>
+        </nav>
+    );
+}
+
+// SEO: Generate JSON-LD for FAQPage schema
+const generateFAQSchema = (content) => {
+    const faqs = [];
+    content.forEach(mainSection => {
+        mainSection.sections.forEach(step => {
+            // Extract description or combined content for the answer
+            let answerText = step.description || '';
+            if (step.contentBlocks) {
+                step.contentBlocks.forEach(block => {
+                    if (block.type === 'text') {
+                        answerText += ' ' + block.content;
+                    } else if (block.type === 'pitfall') {
+                        answerText += ` Pitfall: ${block.content}. Solution: ${block.fix}.`;
+                    }
                 });
             }
-        }, []);
 
+            faqs.push({
+                "@type": "Question",
+                "name": step.title,
+                "acceptedAnswer": {
+                    "@type": "Answer",
+                    "text": answerText.trim()
+                }
+            });
+        });
+    });
 
-        return (
-            <nav className="sticky top-[80px] p-4 bg-gray-50 dark:bg-gray-850 rounded-xl shadow-md hidden lg:block h-[calc(100vh-100px)] overflow-y-auto custom-scrollbar transition-colors duration-200" aria-label="Table of Contents">
-                <h3 className="text-xl font-bold text-gray-900 dark:text-gray-50 mb-4 border-b pb-2 border-gray-200 dark:border-gray-700">Contents</h3>
-                <ul>
-                    {content.map((mainSection) => (
-                        <li key={mainSection.id} className="mb-2">
-                            <a
-                                href={`#${mainSection.id}`}
-                                onClick={(e) => {
-                                    e.preventDefault();
-                                    scrollToSection(mainSection.id);
-                                }}
-                                className={`block py-2 px-3 rounded-lg transition-colors duration-200 ${
-                                    activeSectionId === mainSection.id
-                                        ? 'bg-blue-100 text-blue-700 dark:bg-blue-900 dark:text-blue-200 font-semibold'
-                                        : 'text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'
-                                }`}
-                                aria-current={activeSectionId === mainSection.id ? "true" : undefined}
-                            >
-                                {mainSection.title}
-                            </a>
-                            {mainSection.sections.length > 0 && (
-                                <ul className="ml-4 mt-1 border-l-2 border-gray-200 dark:border-gray-700 pl-3">
-                                    {mainSection.sections.map((subSection) => (
-                                        <li key={subSection.id} className="mb-1">
-                                            <a
-                                                href={`#${subSection.id}`}
-                                                onClick={(e) => {
-                                                    e.preventDefault();
-                                                    scrollToSection(subSection.id);
-                                                }}
-                                                className={`block py-1 px-2 text-sm rounded-md transition-colors duration-200 ${
-                                                    activeSectionId === subSection.id
-                                                        ? 'bg-blue-50 text-blue-600 dark:bg-blue-800 dark:text-blue-300 font-medium'
-                                                        : 'text-gray-600 dark:text-gray-400 hover:bg-gray-50 dark:hover:bg-gray-700'
-                                                }`}
-                                                aria-current={activeSectionId === subSection.id ? "true" : undefined}
-                                            >
-                                                {subSection.title}
-                                            </a>
-                                        </li>
-                                    ))}
-                                </ul>
-                            )}
-                        </li>
-                    ))}
-                </ul>
-            </nav>
-        );
+    return {
+        "@context": "https://schema.org",
+        "@type": "FAQPage",
+        "mainEntity": faqs
     };
+};
 
-    // SEO: Generate JSON-LD for FAQPage schema
-    const generateFAQSchema = () => {
-        const faqs = [];
-        checklistContent.forEach(mainSection => {
-            mainSection.sections.forEach(step => {
-                // Extract description or combined content for the answer
-                let answerText = step.description || '';
-                if (step.contentBlocks) {
-                    step.contentBlocks.forEach(block => {
-                        if (block.type === 'text') {
-                            answerText += ' ' + block.content;
-                        } else if (block.type === 'pitfall') {
-                            answerText += ` Pitfall: ${block.content}. Solution: ${block.fix}.`;
-                        }
-                    });
-                }
+// Main App component which contains all other components and logic.
+function App() {
+    // State for managing dark/light theme
+    const [theme, setTheme] = useState(
+        localStorage.getItem('theme') || (window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light')
+    );
+    // State for the deployment profile substituted into every command block
+    const [profile, setProfile] = useState(loadProfile);
+    // State for completed steps and command blocks, keyed by step id
+    const [progress, setProgress] = useState(loadProgress);
+    // State for the target OS used to hide blocks and steps for other distros
+    const [targetOs, setTargetOs] = useState(loadTargetOs);
+    // State for the Python version install and venv commands are rewritten for
+    const [pythonVersion, setPythonVersion] = useState(loadPythonVersion);
+    // State for the setup questionnaire answers (null until answered or skipped)
+    const [setupAnswers, setSetupAnswers] = useState(loadSetupAnswers);
+    // State for the recent copies and the last failed copy ({ text, label, error }, null when dismissed)
+    const [copyHistory, setCopyHistory] = useState(loadCopyHistory);
+    const [copyFailure, setCopyFailure] = useState(null);
+    // State for the export currently previewed in the ExportDialog (null when closed)
+    const [activeExport, setActiveExport] = useState(null);
+    // State for search query, the block type it is restricted to and the hit currently shown.
+    // The query and filter start from the URL's query string.
+    const [searchQuery, setSearchQuery] = useState(() => readSearchParams(window.location.search).query);
+    const [searchFilter, setSearchFilter] = useState(() => readSearchParams(window.location.search).filter);
+    const [activeHitIndex, setActiveHitIndex] = useState(0);
+    // State to track the currently active section for TOC highlighting
+    const [activeSectionId, setActiveSectionId] = useState('');
+    // History entry state on load: set when the page is reloaded or restored from back/forward
+    const initialSnapshot = useRef(window.history.state);
+    // State for open steps and pitfalls, restored from history or opened for the route in the URL
+    const [expanded, setExpanded] = useState(() => (
+        initialSnapshot.current && initialSnapshot.current.expanded
+            ? initialSnapshot.current.expanded
+            : expandRoute(EMPTY_EXPANDED, resolveRoute(checklistContent, parseRoute(window.location.hash)))
+    ));
+    // State for a scroll to perform once the DOM has updated: { elementId } or { top }
+    const [pendingScroll, setPendingScroll] = useState(() => {
+        if (initialSnapshot.current && initialSnapshot.current.expanded) return { top: initialSnapshot.current.scrollTop || 0 };
+        const route = resolveRoute(checklistContent, parseRoute(window.location.hash));
+        return route ? { elementId: routeElementId(route) } : null;
+    });
+    // State for showing the steps the setup answers leave out; on when the URL points at one
+    const [showAllSteps, setShowAllSteps] = useState(() => (
+        hiddenBySetup(resolveRoute(checklistContent, parseRoute(window.location.hash)), setupAnswers)
+    ));
+
+    // Ref for the main content area to observe scroll
+    const mainContentRef = useRef(null);
+    // Refs for ALL sections (main and sub) to observe their visibility for TOC highlighting
+    const allSectionRefs = useRef({});
+
+    // Content tailored to the selected target OS, Python version and setup answers. Exports use
+    // setupContent; search and progress operate on what is displayed, which includes skipped
+    // steps on request.
+    const platformContent = useMemo(
+        () => applyPythonVersion(filterContentForOs(checklistContent, targetOs), pythonVersion, targetOs),
+        [targetOs, pythonVersion]
+    );
+    const setupContent = useMemo(() => filterContentForSetup(platformContent, setupAnswers), [platformContent, setupAnswers]);
+    const displayedContent = showAllSteps ? platformContent : setupContent;
+    const hiddenStepCount = useMemo(() => {
+        const countSteps = content => content.reduce((sum, mainSection) => sum + mainSection.sections.length, 0);
+        return countSteps(platformContent) - countSteps(setupContent);
+    }, [platformContent, setupContent]);
+
+    // Ranked search results; filteredContent keeps only the steps containing a hit
+    const search = useMemo(
+        () => searchContent(displayedContent, searchQuery, { blockType: searchFilter }),
+        [displayedContent, searchQuery, searchFilter]
+    );
+    const filteredContent = search.content;
+    const activeHit = search.hits[activeHitIndex] || null;
+
+    // Start from the best hit whenever the query or filter changes
+    useEffect(() => {
+        setActiveHitIndex(0);
+    }, [searchQuery, searchFilter, targetOs, pythonVersion, setupAnswers, showAllSteps]);
+
+    // Move to the next (1) or previous (-1) hit, wrapping around
+    const navigateHits = (direction) => {
+        if (search.hits.length === 0) return;
+        setActiveHitIndex(prev => (prev + direction + search.hits.length) % search.hits.length);
+    };
+
+    // Scroll the main content area so 'element' sits near its top
+    const scrollToElement = useCallback((element, behavior = 'smooth') => {
+        const container = mainContentRef.current;
+        if (!element || !container) return;
+        const scrollPosition = element.getBoundingClientRect().top + container.scrollTop - container.getBoundingClientRect().top;
+        container.scrollTo({ top: scrollPosition - 24, behavior });
+    }, []);
+
+    // Effect to open every step and pitfall containing a search hit
+    useEffect(() => {
+        if (search.hits.length === 0) return;
+        const flags = (keys) => Object.fromEntries([...keys].map(key => [key, true]));
+        setExpanded(prev => ({
+            steps: { ...prev.steps, ...flags(search.stepIds) },
+            pitfalls: { ...prev.pitfalls, ...flags(search.blockKeys) },
+        }));
+    }, [search]);
+
+    // Effect to scroll the active hit into view. Debounced so typing doesn't jump on every
+    // keystroke, and long enough for the accordion/pitfall it sits in to finish opening.
+    useEffect(() => {
+        if (!activeHit) return undefined;
+        const timer = setTimeout(() => {
+            const selector = activeHit.blockType === 'step' ? `#${CSS.escape(activeHit.key)}` : `[data-block-key="${CSS.escape(activeHit.key)}"]`;
+            scrollToElement(document.querySelector(selector));
+        }, 350);
+        return () => clearTimeout(timer);
+    }, [activeHit, scrollToElement]);
+
+    // Effect to perform a pending scroll after steps opened by navigation have rendered
+    useEffect(() => {
+        if (!pendingScroll) return undefined;
+        const timer = setTimeout(() => {
+            if (pendingScroll.elementId) {
+                scrollToElement(document.getElementById(pendingScroll.elementId));
+            } else if (mainContentRef.current) {
+                mainContentRef.current.scrollTo({ top: pendingScroll.top, behavior: 'auto' });
+            }
+            setPendingScroll(null);
+        }, 50);
+        return () => clearTimeout(timer);
+    }, [pendingScroll, scrollToElement]);
+
+    // Latest values for saveSnapshot, which also runs from scroll and popstate listeners
+    const snapshotRef = useRef(null);
+    snapshotRef.current = { expanded, query: searchQuery, filter: searchFilter };
+
+    // Record scroll position and open steps in the current history entry, and keep the
+    // search in the query string, so back/forward can return to exactly this view
+    const saveSnapshot = useCallback(() => {
+        const { expanded: currentExpanded, query, filter } = snapshotRef.current;
+        const scrollTop = mainContentRef.current ? mainContentRef.current.scrollTop : 0;
+        window.history.replaceState({ expanded: currentExpanded, scrollTop }, '', buildUrl({ query, filter }, window.location.hash));
+    }, []);
+
+    // Effect to update the current history entry when the view changes
+    useEffect(() => {
+        saveSnapshot();
+    }, [expanded, searchQuery, searchFilter, saveSnapshot]);
+
+    // Effect to update the current history entry as the user scrolls (debounced)
+    useEffect(() => {
+        const container = mainContentRef.current;
+        if (!container) return undefined;
+        let timer = null;
+        const handleScroll = () => {
+            clearTimeout(timer);
+            timer = setTimeout(saveSnapshot, 150);
+        };
+        container.addEventListener('scroll', handleScroll, { passive: true });
+        return () => {
+            clearTimeout(timer);
+            container.removeEventListener('scroll', handleScroll);
+        };
+    }, [saveSnapshot]);
+
+    // Effect to restore the view on back/forward, or follow a hash pasted into the address bar
+    useEffect(() => {
+        window.history.scrollRestoration = 'manual';
+        const handlePopState = (e) => {
+            const { query, filter } = readSearchParams(window.location.search);
+            setSearchQuery(query);
+            setSearchFilter(filter);
+            if (e.state && e.state.expanded) {
+                setExpanded(e.state.expanded);
+                setPendingScroll({ top: e.state.scrollTop || 0 });
+                return;
+            }
+            const route = resolveRoute(checklistContent, parseRoute(window.location.hash));
+            if (hiddenBySetup(route, setupAnswers)) setShowAllSteps(true);
+            setExpanded(prev => expandRoute(prev, route));
+            setPendingScroll(route ? { elementId: routeElementId(route) } : { top: 0 });
+        };
+        window.addEventListener('popstate', handlePopState);
+        return () => window.removeEventListener('popstate', handlePopState);
+    }, [setupAnswers]);
+
+    // Go to a route (null for the top of the page), adding a history entry.
+    // A search that hides the target step is cleared first, and steps the setup
+    // answers leave out are shown when the target is one of them.
+    const navigate = useCallback((route) => {
+        saveSnapshot();
+        if (hiddenBySetup(route, setupAnswers)) setShowAllSteps(true);
+        const clearSearch = Boolean(route && route.stepId && searchQuery && !search.stepIds.has(route.stepId));
+        if (clearSearch) setSearchQuery('');
+        setExpanded(prev => expandRoute(prev, route));
+        window.history.pushState(null, '', buildUrl({ query: clearSearch ? '' : searchQuery, filter: searchFilter }, route ? routeHash(route) : ''));
+        setPendingScroll(route ? { elementId: routeElementId(route) } : { top: 0 });
+    }, [saveSnapshot, searchQuery, searchFilter, search, setupAnswers]);
+
+    // Open or close a step ('steps') or pitfall ('pitfalls')
+    const toggleExpanded = useCallback((kind, key) => {
+        setExpanded((prev) => {
+            const { [key]: wasOpen, ...rest } = prev[kind];
+            return { ...prev, [kind]: wasOpen ? rest : { ...rest, [key]: true } };
+        });
+    }, []);
+
+    // Breadcrumbs for the step (or main section) currently in view
+    const breadcrumbs = useMemo(() => {
+        const route = findRoute(checklistContent, activeSectionId);
+        if (!route) return [];
+        const mainSection = checklistContent.find(section => section.id === route.mainSectionId);
+        const crumbs = [{ id: mainSection.id, label: mainSection.title, route: { mainSectionId: mainSection.id } }];
+        const step = route.stepId && mainSection.sections.find(section => section.id === route.stepId);
+        if (step) {
+            crumbs.push({ id: step.id, label: step.title, route });
+        }
+        return crumbs;
+    }, [activeSectionId]);
+
+    // Effect to apply theme to the document body and save to localStorage
+    useEffect(() => {
+        document.documentElement.classList.remove('light', 'dark');
+        document.documentElement.classList.add(theme);
+        localStorage.setItem('theme', theme);
+    }, [theme]);
+
+    // Effect to save the deployment profile to localStorage
+    useEffect(() => {
+        saveProfile(profile);
+    }, [profile]);
+
+    // Effect to save the target OS to localStorage
+    useEffect(() => {
+        localStorage.setItem(TARGET_OS_STORAGE_KEY, targetOs);
+    }, [targetOs]);
+
+    // Effect to save the Python version to localStorage
+    useEffect(() => {
+        localStorage.setItem(PYTHON_VERSION_STORAGE_KEY, pythonVersion);
+    }, [pythonVersion]);
+
+    // Effect to save the setup answers to localStorage once the questionnaire is answered
+    useEffect(() => {
+        if (setupAnswers) saveSetupAnswers(setupAnswers);
+    }, [setupAnswers]);
+
+    // Effect to save checklist progress to localStorage
+    useEffect(() => {
+        saveProgress(progress);
+    }, [progress]);
+
+    // Mark a step or command block as completed (or not)
+    const toggleCompleted = useCallback((key, done) => {
+        setProgress((prevProgress) => setCompleted(prevProgress, key, done));
+    }, []);
+
+    // Clear all saved progress after confirmation
+    const resetProgress = useCallback(() => {
+        if (window.confirm('Reset all checklist progress?')) {
+            setProgress({});
+        }
+    }, []);
+
+    // Per-section and overall completion counts for the TOC
+    const progressCounts = useMemo(() => computeProgress(displayedContent, progress), [displayedContent, progress]);
+
+    // Function to toggle theme
+    const toggleTheme = useCallback(() => {
+        setTheme((prevTheme) => (prevTheme === 'light' ? 'dark' : 'light'));
+    }, []);
+
+    // Ids of the main sections and steps on screen, in document order. Joined into a string so
+    // the observer below only re-subscribes when the set of rendered sections really changes.
+    const observedIdsKey = useMemo(
+        () => filteredContent.flatMap(mainSection => [mainSection.id, ...mainSection.sections.map(step => step.id)]).join(' '),
+        [filteredContent]
+    );
+
+    // Effect to set up IntersectionObserver for TOC active highlighting
+    useEffect(() => {
+        const container = mainContentRef.current;
+        const observedIds = observedIdsKey ? observedIdsKey.split(' ') : [];
+        if (!container || observedIds.length === 0) return undefined;
+
+        const observerOptions = {
+            root: container, // Observe within the main content scroll area
+            rootMargin: '0px 0px -50% 0px', // When 50% of the section is visible
+            threshold: 0,
+        };
+
+        const observer = new IntersectionObserver((entries) => {
+            let highestVisibleSectionId = null;
+            let minDistanceFromTop = Infinity;
+            // Define an "active line" in the top part of the viewport for better UX
+            const rootRect = container.getBoundingClientRect();
+            const activeLineOffset = rootRect.top + (container.clientHeight * 0.25);
+
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    // Calculate the position relative to the scrollable root
+                    const rect = entry.boundingClientRect;
+                    const relativeTop = rect.top - rootRect.top;
+                    const relativeBottom = rect.bottom - rootRect.top;
 
-                faqs.push({
-                    "@type": "Question",
-                    "name": step.title,
-                    "acceptedAnswer": {
-                        "@type": "Answer",
-                        "text": answerText.trim()
+                    // If the section's top is at or above the active line, and its bottom is below it
+                    // This means the section is currently "crossing" or containing the active line
+                    if (relativeTop <= activeLineOffset && relativeBottom > activeLineOffset) {
+                        // We want the section whose top is closest to the active line and is above it,
+                        // or the first one that crosses the line.
+                        if (relativeTop < minDistanceFromTop) {
+                            minDistanceFromTop = relativeTop;
+                            highestVisibleSectionId = entry.target.id;
+                        }
                     }
-                });
+                }
             });
+
+            // Fallback for very top of the page: if nothing else is active, highlight the first section
+            if (!highestVisibleSectionId && container.scrollTop < 100) {
+                highestVisibleSectionId = observedIds[0];
+            }
+            // Fallback for very bottom of the page: the last step (or main section) on screen
+            else if (!highestVisibleSectionId && container.scrollTop + container.clientHeight >= container.scrollHeight - 100) {
+                highestVisibleSectionId = observedIds[observedIds.length - 1];
+            }
+
+            // setState bails out when the id is unchanged, so no re-render while inside one section
+            if (highestVisibleSectionId) {
+                setActiveSectionId(highestVisibleSectionId);
+            }
+        }, observerOptions);
+
+        observedIds.forEach((id) => {
+            const ref = allSectionRefs.current[id];
+            if (ref) {
+                observer.observe(ref);
+            }
         });
 
-        return {
-            "@context": "https://schema.org",
-            "@type": "FAQPage",
-            "mainEntity": faqs
+        // Disconnect observer on cleanup
+        return () => {
+            observer.disconnect();
         };
-    };
+    }, [observedIdsKey]);
 
     // Inject SEO metadata and JSON-LD into the document head
     useEffect(() => {
@@ -1165,7 +1317,7 @@ function App() {
             scriptTag.setAttribute('id', 'faq-schema');
             document.head.appendChild(scriptTag);
         }
-        scriptTag.textContent = JSON.stringify(generateFAQSchema());
+        scriptTag.textContent = JSON.stringify(generateFAQSchema(checklistContent));
 
         // Cleanup function for when the component unmounts (optional, but good practice)
         return () => {
@@ -1177,30 +1329,120 @@ function App() {
             //     metaDescription.parentNode.removeChild(metaStatement);
             // }
         };
-    }, [checklistContent]); // Re-run if checklist content changes to update schema
+    }, []); // Checklist content is loaded once at module level
+
+    // Build the file for an export action and open it in the ExportDialog
+    // Exports are distro-specific, so they need a concrete target OS unless marked 'anyOs'.
+    const openExport = (kind) => {
+        const exportDefinitions = {
+            'deploy-script': {
+                title: 'Provisioning script',
+                filename: 'deploy.sh',
+                generate: () => generateDeployScript(setupContent, { targetOs, profile }),
+            },
+            terraform: {
+                title: 'Terraform module',
+                filename: 'main.tf',
+                generate: () => {
+                    const options = { targetOs, profile, securityGroupPlan: loadSecurityGroupPlan() };
+                    return { content: generateTerraform(options), warnings: infrastructureWarnings(options) };
+                },
+            },
+            cloudformation: {
+                title: 'CloudFormation template',
+                filename: 'ec2-stack.yaml',
+                generate: () => {
+                    const options = { targetOs, profile, securityGroupPlan: loadSecurityGroupPlan() };
+                    return { content: generateCloudFormation(options), warnings: infrastructureWarnings(options) };
+                },
+            },
+            'cloud-init': {
+                title: 'cloud-init user data',
+                filename: 'user-data.yaml',
+                generate: () => {
+                    const { userData, rejected } = generateCloudInit(setupContent, { targetOs, profile });
+                    return {
+                        content: userData,
+                        warnings: rejected.map(({ step, command, reason }) => `Left out from ${step}: "${command}" ${reason}.`),
+                    };
+                },
+            },
+            // Section 10's checks are the same on every distro
+            verify: {
+                title: 'Verification script',
+                filename: 'verify.sh',
+                anyOs: true,
+                generate: () => generateVerifyScript(setupContent, { profile, targetOs }),
+            },
+        };
+        const { title, filename, anyOs, generate } = exportDefinitions[kind];
+        if (targetOs === ALL_OS && !anyOs) {
+            setActiveExport({
+                title,
+                filename,
+                notice: 'Pick Ubuntu or Amazon Linux 2023 as the Target OS in the header first, so the export matches your distro.',
+                content: '',
+            });
+            return;
+        }
+        // Generators return the file text, or { content, warnings } when something was left out
+        const generated = generate();
+        setActiveExport({
+            title,
+            filename,
+            notice: null,
+            ...(typeof generated === 'string' ? { content: generated, warnings: [] } : generated),
+        });
+    };
+
+    // Effect to follow copies made anywhere in the app
+    useEffect(() => subscribeToCopies((event) => {
+        if (event.ok) {
+            setCopyHistory(event.history);
+        } else {
+            setCopyFailure(event);
+        }
+    }), []);
+
+    const dismissCopyFailure = useCallback(() => setCopyFailure(null), []);
+
+    // Stable close handler so the ExportDialog's Escape listener isn't re-bound every render
+    const closeExport = useCallback(() => setActiveExport(null), []);
 
     // Handler for Back to Top button
-    const handleBackToTop = () => {
+    const handleBackToTop = useCallback(() => {
         if (mainContentRef.current) {
             mainContentRef.current.scrollTo({ top: 0, behavior: 'smooth' }); // Scroll main content area, not window
         }
-    };
+    }, []);
 
     // Render the main application layout
     return (
         <div className="min-h-screen bg-gray-50 dark:bg-gray-900 text-gray-900 dark:text-gray-100 font-inter transition-colors duration-200">
 
             <Header
-                breadcrumbs={[{ id: 'home', label: 'Deployment Checklist' }]}
+                breadcrumbs={breadcrumbs}
+                onNavigate={navigate}
                 onBackToTop={handleBackToTop}
                 theme={theme}
                 toggleTheme={toggleTheme}
+                targetOs={targetOs}
+                onTargetOsChange={setTargetOs}
+                pythonVersion={pythonVersion}
+                onPythonVersionChange={setPythonVersion}
             />
 
             <main className="container mx-auto p-4 lg:p-8 pt-24 grid lg:grid-cols-4 gap-8">
                 {/* Table of Contents - Hidden on small screens */}
                 <aside className="lg:col-span-1">
-                    <TableOfContents content={filteredContent} activeSectionId={activeSectionId} />
+                    <TableOfContents
+                        content={filteredContent}
+                        activeSectionId={activeSectionId}
+                        progress={progress}
+                        progressCounts={progressCounts}
+                        onResetProgress={resetProgress}
+                        onNavigate={navigate}
+                    />
                 </aside>
 
                 {/* Main Content Area */}
@@ -1210,7 +1452,50 @@ function App() {
                         FastAPI + Uvicorn on AWS EC2 Deployment Checklist
                     </h1>
 
-                    <SearchBar searchQuery={searchQuery} setSearchQuery={setSearchQuery} />
+                    <SearchBar
+                        searchQuery={searchQuery}
+                        setSearchQuery={setSearchQuery}
+                        filter={searchFilter}
+                        setFilter={setSearchFilter}
+                        hitCount={search.hits.length}
+                        activeHitIndex={activeHitIndex}
+                        onNavigate={navigateHits}
+                    />
+
+                    <Warnings warnings={pythonVersionWarnings(pythonVersion, targetOs)} />
+
+                    <ProfileForm
+                        profile={profile}
+                        onChange={setProfile}
+                        onReset={() => setProfile({ ...EMPTY_PROFILE })}
+                    />
+
+                    <SetupQuestionnaire
+                        answers={setupAnswers}
+                        onChange={setSetupAnswers}
+                        showAll={showAllSteps}
+                        onShowAllChange={setShowAllSteps}
+                        hiddenCount={hiddenStepCount}
+                    />
+
+                    <div className="mb-8 flex flex-wrap items-center gap-2">
+                        <span className="text-sm font-medium text-gray-700 dark:text-gray-300 mr-2">Export:</span>
+                        <Button onClick={() => openExport('deploy-script')} className="text-sm">
+                            Export script
+                        </Button>
+                        <Button onClick={() => openExport('terraform')} className="text-sm">
+                            Terraform
+                        </Button>
+                        <Button onClick={() => openExport('cloudformation')} className="text-sm">
+                            CloudFormation
+                        </Button>
+                        <Button onClick={() => openExport('cloud-init')} className="text-sm">
+                            cloud-init
+                        </Button>
+                        <Button onClick={() => openExport('verify')} className="text-sm">
+                            Verify script
+                        </Button>
+                    </div>
 
                     {/* Render filtered checklist sections */}
                     {filteredContent.length > 0 ? (
@@ -1219,16 +1504,34 @@ function App() {
                                 key={mainSection.id}
                                 mainSection={mainSection}
                                 allSectionRefs={allSectionRefs} // Pass allSectionRefs
+                                profile={profile}
+                                targetOs={targetOs}
+                                pythonVersion={pythonVersion}
+                                setupAnswers={setupAnswers}
+                                progress={progress}
+                                onToggleCompleted={toggleCompleted}
+                                search={search}
+                                activeHitKey={activeHit ? activeHit.key : null}
+                                expanded={expanded}
+                                onToggleExpanded={toggleExpanded}
+                                onNavigate={navigate}
                             />
                         ))
                     ) : (
                         <p className="text-gray-600 dark:text-gray-400 text-center text-lg mt-10">
-                            No results found for "{searchQuery}". Try a different search term.
+                            No results found for "{searchQuery}"{searchFilter !== 'all' && ` in ${(SEARCH_FILTERS.find(option => option.id === searchFilter) || { label: searchFilter }).label.toLowerCase()}`}{targetOs !== ALL_OS && ` for ${osLabel(targetOs)}`}. Try a different search term.
                         </p>
                     )}
                 </div>
             </main>
 
+            {activeExport && <ExportDialog {...activeExport} onClose={closeExport} />}
+
+            <CopyHistoryDrawer history={copyHistory} onClear={clearCopyHistory} />
+            <CopyErrorToast failure={copyFailure} onDismiss={dismissCopyFailure} />
+
+            {import.meta.env.DEV && <ContentErrorOverlay errors={contentErrors} />}
+
             {/* Back to Top button for smaller screens (sticky at bottom right) */}
             <div className="fixed bottom-4 right-4 lg:hidden">
                 <Button onClick={handleBackToTop} className="shadow-lg">
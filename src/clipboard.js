@@ -0,0 +1,91 @@
+// Clipboard access and the recent-copies history. Copies go through the async Clipboard API
+// when the page is allowed to use it and fall back to a hidden textarea otherwise.
+// Every copy is reported to subscribers, so the app can show failures and the history.
+
+// localStorage key under which the recent copies are persisted
+export const COPY_HISTORY_STORAGE_KEY = 'copyHistory';
+
+// Number of copies kept in the history
+export const COPY_HISTORY_LIMIT = 10;
+
+const listeners = new Set();
+
+// Read the stored history: [{ text, label, copiedAt }] newest first
+export const loadCopyHistory = () => {
+    try {
+        const stored = JSON.parse(localStorage.getItem(COPY_HISTORY_STORAGE_KEY));
+        if (Array.isArray(stored)) {
+            return stored.filter(entry => entry && typeof entry.text === 'string').slice(0, COPY_HISTORY_LIMIT);
+        }
+    } catch (err) {
+        console.error('Failed to read copy history: ', err);
+    }
+    return [];
+};
+
+const saveCopyHistory = (history) => {
+    localStorage.setItem(COPY_HISTORY_STORAGE_KEY, JSON.stringify(history));
+};
+
+// Call every subscriber with a copy event
+const notify = (event) => listeners.forEach(listener => listener(event));
+
+// Subscribe to copy events: { ok: true, text, label, history } after a copy, { ok: false, text, label, error }
+// when it failed and { ok: true, history } when the history was cleared. Returns the unsubscribe function.
+export const subscribeToCopies = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+// Forget all recent copies
+export const clearCopyHistory = () => {
+    saveCopyHistory([]);
+    notify({ ok: true, history: [] });
+};
+
+// Copy with document.execCommand('copy') from a temporary textarea, which also works
+// in iframes and on plain http. Returns true on success.
+const copyWithTextarea = (text) => {
+    const textarea = document.createElement('textarea');
+    textarea.value = text;
+    textarea.setAttribute('readonly', '');
+    textarea.style.position = 'fixed'; // Avoid scrolling to bottom
+    textarea.style.opacity = '0';
+    document.body.appendChild(textarea);
+    textarea.select();
+    try {
+        return document.execCommand('copy');
+    } catch (err) {
+        return false;
+    } finally {
+        document.body.removeChild(textarea);
+    }
+};
+
+// Copy text to the clipboard and record it in the history under 'label' (e.g. the step title).
+// Resolves to true on success; on failure subscribers get the error and it resolves to false.
+export const copyToClipboard = async (text, { label = '' } = {}) => {
+    try {
+        if (navigator.clipboard && window.isSecureContext) {
+            try {
+                await navigator.clipboard.writeText(text);
+            } catch (err) {
+                // Denied permission or a lost user gesture; the textarea may still work
+                if (!copyWithTextarea(text)) throw err;
+            }
+        } else if (!copyWithTextarea(text)) {
+            throw new Error('the browser blocked clipboard access');
+        }
+    } catch (error) {
+        notify({ ok: false, text, label, error });
+        return false;
+    }
+
+    const history = [
+        { text, label, copiedAt: Date.now() },
+        ...loadCopyHistory().filter(entry => entry.text !== text),
+    ].slice(0, COPY_HISTORY_LIMIT);
+    saveCopyHistory(history);
+    notify({ ok: true, text, label, history });
+    return true;
+};
@@ -0,0 +1,19 @@
+// Loads the checklist content from the JSON files in this directory and validates it.
+// Files are ordered by name, so prefix them with their section number (e.g. '06-security-polish.json').
+// To add a step, edit the matching JSON file; see schema.js for the expected shape.
+
+import { validateContent } from './schema.js';
+
+const modules = import.meta.glob('./*.json', { eager: true, import: 'default' });
+
+const sources = Object.keys(modules).sort();
+
+// Main sections in file order
+export const checklistContent = sources.map(source => modules[source]);
+
+// Validation errors found at load time (shown in the dev overlay, logged in production)
+export const contentErrors = validateContent(checklistContent, sources.map(source => source.replace('./', '')));
+
+if (contentErrors.length > 0) {
+    console.error(`Checklist content has ${contentErrors.length} problem(s):`, contentErrors);
+}
@@ -0,0 +1,209 @@
+// Schema for the checklist content files in this directory.
+//
+// Each JSON file holds one main section:
+//   { id, title, description?, sections: [step, ...] }
+// Each step:
+//   { id, title, description, os?, when?, contentBlocks: [block, ...] }
+// Each content block is one of:
+//   { type: 'command', id, commands: [string, ...], platform?, description?, language?, os?, runsOn?, provision? }
+//   { type: 'pitfall', id, title, content, fix, os?, symptoms?, signatures?, python? }
+//   { type: 'text', content }
+//   { type: 'tool', tool }   an interactive tool from src/tools (e.g. 'nginx-builder')
+// Ids of main sections, steps, pitfalls and command blocks are unique across all files and appear
+// in URLs ('#/<main section id>/<step id>/<pitfall id>') or saved progress, so they must be
+// lower-case slugs and should not change.
+// 'symptoms' feed the troubleshooting wizard: [{ symptom, diagnostic, result }], where 'diagnostic'
+// is a command line from step 8.1 (see src/troubleshooting.js). 'signatures' feed the log analyzer:
+// [{ pattern, weight? }] with 'pattern' a case-insensitive regular expression (see src/log-analyzer.js).
+// 'os' is one of the distro ids from platforms.js ('ubuntu', 'al2023'); omit it for general content.
+// 'when' limits a step or block to some setup questionnaire answers (see src/setup.js), e.g.
+// { "processManager": "supervisord" }; any block type may carry it.
+// 'python' is the range of Python versions a pitfall applies to, e.g. { "max": "3.9" } or
+// { "min": "3.12" } (see src/python.js); it is hidden for other selected versions.
+// 'runsOn' says where a command block is executed: 'instance' (default), 'local' or 'console'
+// (AWS Console click-paths). 'provision: false' marks instance commands that are alternatives or
+// diagnostics and must not be included in generated provisioning scripts.
+
+import { OS_OPTIONS, ALL_OS } from '../platforms.js';
+import { DIAGNOSTICS_STEP_ID, diagnosticCommands } from '../troubleshooting.js';
+import { SETUP_QUESTIONS } from '../setup.js';
+import { PYTHON_VERSIONS, isPythonVersion } from '../python.js';
+import { TOOL_IDS } from '../tools/index.js';
+
+const OS_IDS = OS_OPTIONS.map(option => option.id).filter(id => id !== ALL_OS);
+
+// Allowed fields per node kind; 'required' fields must be present and non-empty
+const MAIN_SECTION_FIELDS = { required: ['id', 'title', 'sections'], optional: ['description'] };
+const STEP_FIELDS = { required: ['id', 'title', 'description', 'contentBlocks'], optional: ['os', 'when'] };
+const BLOCK_FIELDS = {
+    command: { required: ['type', 'id', 'commands'], optional: ['platform', 'description', 'language', 'os', 'runsOn', 'provision', 'when'] },
+    pitfall: { required: ['type', 'id', 'title', 'content', 'fix'], optional: ['os', 'symptoms', 'signatures', 'when', 'python'] },
+    text: { required: ['type', 'content'], optional: ['when'] },
+    tool: { required: ['type', 'tool'], optional: ['when'] },
+};
+
+const RUNS_ON_VALUES = ['instance', 'local', 'console'];
+
+const ID_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+const SYMPTOM_FIELDS = ['symptom', 'diagnostic', 'result'];
+
+const isEmpty = (value) => value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+
+// Check required/unknown fields and the shared 'os' and 'when' fields of a node.
+const checkFields = (node, fields, path, errors) => {
+    fields.required.forEach((field) => {
+        if (isEmpty(node[field])) {
+            errors.push({ path, message: `missing required field "${field}"` });
+        }
+    });
+    Object.keys(node).forEach((field) => {
+        if (!fields.required.includes(field) && !fields.optional.includes(field)) {
+            errors.push({ path, message: `unknown field "${field}"` });
+        }
+    });
+    if (node.os !== undefined && !OS_IDS.includes(node.os)) {
+        errors.push({ path, message: `unknown os "${node.os}" (expected one of ${OS_IDS.join(', ')})` });
+    }
+    if (node.when !== undefined) {
+        if (!node.when || typeof node.when !== 'object' || Array.isArray(node.when) || Object.keys(node.when).length === 0) {
+            errors.push({ path, message: '"when" must be an object of setup answers, e.g. { "hasDomain": true }' });
+            return;
+        }
+        Object.entries(node.when).forEach(([questionId, value]) => {
+            const question = SETUP_QUESTIONS.find(candidate => candidate.id === questionId);
+            if (!question) {
+                errors.push({ path, message: `unknown setup question "${questionId}" in "when" (expected one of ${SETUP_QUESTIONS.map(candidate => candidate.id).join(', ')})` });
+            } else if (!question.options.some(option => option.value === value)) {
+                errors.push({ path, message: `"when.${questionId}" must be one of ${question.options.map(option => JSON.stringify(option.value)).join(', ')}` });
+            }
+        });
+    }
+};
+
+const checkBlock = (block, path, errors) => {
+    if (!block || typeof block !== 'object') {
+        errors.push({ path, message: 'content block must be an object' });
+        return;
+    }
+    const fields = BLOCK_FIELDS[block.type];
+    if (!fields) {
+        errors.push({ path, message: `unknown block type "${block.type}" (expected one of ${Object.keys(BLOCK_FIELDS).join(', ')})` });
+        return;
+    }
+    checkFields(block, fields, path, errors);
+    if (block.runsOn !== undefined && !RUNS_ON_VALUES.includes(block.runsOn)) {
+        errors.push({ path, message: `unknown runsOn "${block.runsOn}" (expected one of ${RUNS_ON_VALUES.join(', ')})` });
+    }
+    if (block.type === 'tool' && block.tool !== undefined && !TOOL_IDS.includes(block.tool)) {
+        errors.push({ path, message: `unknown tool "${block.tool}" (expected one of ${TOOL_IDS.join(', ')})` });
+    }
+    if (block.provision !== undefined && typeof block.provision !== 'boolean') {
+        errors.push({ path, message: '"provision" must be true or false' });
+    }
+    if (block.python !== undefined) {
+        const bounds = block.python && typeof block.python === 'object' ? Object.keys(block.python) : [];
+        if (bounds.length === 0 || bounds.some(bound => bound !== 'min' && bound !== 'max')) {
+            errors.push({ path, message: '"python" must be an object with "min" and/or "max", e.g. { "max": "3.9" }' });
+        } else if (bounds.some(bound => !isPythonVersion(block.python[bound]))) {
+            errors.push({ path, message: `"python" versions must be one of ${PYTHON_VERSIONS.map(option => option.id).join(', ')}` });
+        } else if (bounds.length === 2 && PYTHON_VERSIONS.findIndex(option => option.id === block.python.min) > PYTHON_VERSIONS.findIndex(option => option.id === block.python.max)) {
+            errors.push({ path, message: '"python.min" must not be above "python.max"' });
+        }
+    }
+    if (block.type === 'command' && Array.isArray(block.commands) && block.commands.some(cmd => typeof cmd !== 'string')) {
+        errors.push({ path, message: 'every entry in "commands" must be a string' });
+    }
+    if (block.symptoms !== undefined) {
+        if (!Array.isArray(block.symptoms)) {
+            errors.push({ path, message: '"symptoms" must be an array' });
+        } else {
+            block.symptoms.forEach((entry, index) => {
+                const missing = SYMPTOM_FIELDS.filter(field => !entry || typeof entry[field] !== 'string' || entry[field] === '');
+                if (missing.length > 0) {
+                    errors.push({ path: `${path} > symptoms[${index}]`, message: `missing ${missing.map(field => `"${field}"`).join(', ')}` });
+                }
+            });
+        }
+    }
+    if (block.signatures !== undefined) {
+        if (!Array.isArray(block.signatures)) {
+            errors.push({ path, message: '"signatures" must be an array' });
+        } else {
+            block.signatures.forEach((signature, index) => {
+                const signaturePath = `${path} > signatures[${index}]`;
+                if (!signature || typeof signature.pattern !== 'string' || signature.pattern === '') {
+                    errors.push({ path: signaturePath, message: 'missing "pattern"' });
+                    return;
+                }
+                try {
+                    new RegExp(signature.pattern, 'i');
+                } catch (err) {
+                    errors.push({ path: signaturePath, message: `invalid pattern: ${err.message}` });
+                }
+                if (signature.weight !== undefined && !(typeof signature.weight === 'number' && signature.weight > 0)) {
+                    errors.push({ path: signaturePath, message: '"weight" must be a positive number' });
+                }
+            });
+        }
+    }
+};
+
+// Validate the loaded content. 'sources' maps each main section to the file it came from.
+// Returns an array of { source, path, message }; an empty array means the content is valid.
+export const validateContent = (content, sources = []) => {
+    const errors = [];
+    const seenIds = new Map();
+
+    const checkId = (id, path, source) => {
+        if (typeof id !== 'string' || isEmpty(id)) return;
+        if (!ID_PATTERN.test(id)) {
+            errors.push({ source, path, message: `id "${id}" must be a lower-case slug (letters, digits and single dashes)` });
+        }
+        if (seenIds.has(id)) {
+            errors.push({ source, path, message: `duplicate id "${id}" (first used in ${seenIds.get(id)})` });
+        } else {
+            seenIds.set(id, source);
+        }
+    };
+
+    content.forEach((mainSection, mainIndex) => {
+        const source = sources[mainIndex] || `section ${mainIndex + 1}`;
+        const sectionErrors = [];
+        checkFields(mainSection, MAIN_SECTION_FIELDS, mainSection.id || `[${mainIndex}]`, sectionErrors);
+        checkId(mainSection.id, mainSection.id, source);
+
+        (Array.isArray(mainSection.sections) ? mainSection.sections : []).forEach((step, stepIndex) => {
+            const stepPath = `${mainSection.id} > ${step.id || `sections[${stepIndex}]`}`;
+            checkFields(step, STEP_FIELDS, stepPath, sectionErrors);
+            checkId(step.id, stepPath, source);
+
+            (Array.isArray(step.contentBlocks) ? step.contentBlocks : []).forEach((block, blockIndex) => {
+                checkBlock(block, `${stepPath} > contentBlocks[${blockIndex}]`, sectionErrors);
+                if (block && (block.type === 'pitfall' || block.type === 'command')) {
+                    checkId(block.id, `${stepPath} > contentBlocks[${blockIndex}]`, source);
+                }
+            });
+        });
+
+        sectionErrors.forEach(error => errors.push({ source, ...error }));
+    });
+
+    // Symptom diagnostics must be commands of step 8.1, or the wizard can't ask for them
+    const diagnostics = diagnosticCommands(content.filter(mainSection => mainSection && Array.isArray(mainSection.sections)))
+        .map(diagnostic => diagnostic.command);
+    content.forEach((mainSection, mainIndex) => {
+        (Array.isArray(mainSection.sections) ? mainSection.sections : []).forEach(step => (Array.isArray(step.contentBlocks) ? step.contentBlocks : [])
+            .forEach((block, blockIndex) => (block && Array.isArray(block.symptoms) ? block.symptoms : []).forEach((entry, index) => {
+                if (entry && typeof entry.diagnostic === 'string' && !diagnostics.includes(entry.diagnostic)) {
+                    errors.push({
+                        source: sources[mainIndex] || `section ${mainIndex + 1}`,
+                        path: `${mainSection.id} > ${step.id} > contentBlocks[${blockIndex}] > symptoms[${index}]`,
+                        message: `diagnostic "${entry.diagnostic}" is not a command in step "${DIAGNOSTICS_STEP_ID}"`,
+                    });
+                }
+            })));
+    });
+
+    return errors;
+};
@@ -0,0 +1,11 @@
+// Trigger a browser download of generated text (scripts, config files, templates).
+export const downloadText = (filename, text, type = 'text/plain') => {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+};
@@ -0,0 +1,208 @@
+// Generates EC2 user data (#cloud-config) from the on-instance steps of sections 4-6,
+// so a fresh instance installs, deploys and serves the app on first boot without SSH.
+// Package installs become 'packages', PPAs become 'apt: sources' (cloud-init adds them before
+// installing packages), editor/tee file bodies become 'write_files' and the remaining commands
+// become 'runcmd'. Steps that would wait for input are rejected. The app is cloned into the
+// one app directory the systemd unit and the Nginx site point at, with its virtualenv in .venv.
+
+import { applyProfile } from '../profile.js';
+import { osLabel, resolveOsUser } from '../platforms.js';
+import { parseCommands, isProvisioningBlock } from './commands.js';
+import { shellQuote } from './deploy-script.js';
+
+// Main sections compiled into user data: system dependencies, app deploy and Nginx/TLS/process manager
+export const CLOUD_INIT_SECTIONS = ['install-system-deps-ec2', 'deploy-app', 'security-polish'];
+
+// Heredoc delimiter for the commands run as the login user
+const USER_DELIMITER = 'USER_EOF';
+
+// Commands that can't run unattended; each has a test and the reason shown to the user
+const INTERACTIVE_RULES = [
+    {
+        test: (command) => /^(?:sudo\s+)?(?:nano|vi|vim|emacs)\b/.test(command),
+        reason: 'opens an editor and waits for you to type the file',
+    },
+    {
+        test: (command) => /^(?:sudo\s+)?certbot\b/.test(command) && !/\s(?:--non-interactive|-n)\b/.test(command),
+        reason: 'certbot prompts for an email and the terms of service; add --non-interactive --agree-tos -m you@example.com',
+    },
+    {
+        test: (command) => /\b(?:tail|journalctl)\b.*\s-f\b/.test(command) || /^(?:sudo\s+)?(?:less|more|top|htop)\b/.test(command),
+        reason: 'never exits on its own',
+    },
+];
+
+const PACKAGE_INSTALL_PATTERN = /^(?:sudo\s+)?(?:apt|apt-get|dnf|yum)\s+install\s+(.+)$/;
+const PACKAGE_UPDATE_PATTERN = /^(?:sudo\s+)?(?:apt|apt-get|dnf|yum)\s+update\b/;
+const PACKAGE_UPGRADE_PATTERN = /^(?:sudo\s+)?(?:(?:apt|apt-get)\s+upgrade|(?:dnf|yum)\s+update)\b/;
+const ADD_PPA_PATTERN = /^(?:sudo\s+)?add-apt-repository\s+(?:-y\s+)?(ppa:\S+)$/;
+const GIT_CLONE_PATTERN = /^git\s+clone\s+(?:-\S+\s+)*(\S+)$/;
+
+// App directory the step 6.3 systemd template uses for every instance user
+const UNIT_APP_DIR = '/home/%i/app';
+
+// Quote a string for YAML only when a plain scalar would be misread
+const yamlScalar = (text) => (/^[\w./~@-][\w./~@=+ -]*$/.test(text) && !/\s$/.test(text) ? text : JSON.stringify(text));
+
+// Lines of a YAML block scalar ('|') holding 'text', indented by 'indent' spaces
+const literalBlock = (text, indent) => text.replace(/\n$/, '').split('\n').map(line => (line === '' ? '' : `${' '.repeat(indent)}${line}`));
+
+// Why a command can't run unattended, or null
+export const interactiveReason = (command) => {
+    const rule = INTERACTIVE_RULES.find(candidate => candidate.test(command));
+    return rule ? rule.reason : null;
+};
+
+// Move a login-user command into 'appDir': a clone without a target directory goes there,
+// 'cd' into the cloned repository becomes 'cd' into it and the venv is created as .venv.
+const inAppDir = (command, appDir, repoDirs) => {
+    const clone = command.match(GIT_CLONE_PATTERN);
+    if (clone) {
+        repoDirs.push(clone[1].replace(/\/+$/, '').split('/').pop().replace(/\.git$/, ''));
+        return `${command} ${shellQuote(appDir)}`;
+    }
+    const cd = command.match(/^cd\s+(\S+)$/);
+    if (cd && repoDirs.includes(cd[1])) return `cd ${shellQuote(appDir)}`;
+    return command
+        .replace(/(-m\s+(?:venv|virtualenv)\s+)venv$/, '$1.venv')
+        .replace(/^(source|\.)\s+venv\/bin\/activate$/, '$1 .venv/bin/activate');
+};
+
+// Compile the provisioning blocks of sections 4-6. 'content' must already be filtered for 'targetOs'.
+// 'appDir' is where the app is cloned; the systemd unit is pointed at it when it isn't the
+// template's /home/<user>/app.
+// Returns { packages, aptSources, packageUpdate, packageUpgrade, files, runcmd, rejected } where runcmd entries
+// are { root: true, command } or { root: false, commands } (a run of commands for the login user).
+export const compileCloudInit = (content, { profile, appDir }) => {
+    const repoDirs = [];
+    const unitAppDir = appDir === `/home/${profile.osUser}/app` ? UNIT_APP_DIR : appDir;
+    const result = { packages: [], aptSources: [], packageUpdate: false, packageUpgrade: false, files: [], runcmd: [], rejected: [] };
+
+    const addCommand = (command, root) => {
+        const last = result.runcmd[result.runcmd.length - 1];
+        if (!root && last && !last.root) {
+            last.commands.push(command);
+        } else {
+            result.runcmd.push(root ? { root, command } : { root, commands: [command] });
+        }
+    };
+
+    content.filter(mainSection => CLOUD_INIT_SECTIONS.includes(mainSection.id)).forEach((mainSection) => {
+        mainSection.sections.forEach((step) => {
+            step.contentBlocks.filter(isProvisioningBlock).forEach((block) => {
+                parseCommands(block.commands.map(cmd => applyProfile(cmd, profile))).forEach((item) => {
+                    if (item.kind === 'file') {
+                        const body = item.content.split(UNIT_APP_DIR).join(unitAppDir);
+                        result.files = [...result.files.filter(file => file.path !== item.path), { path: item.path, content: body }];
+                        return;
+                    }
+                    if (item.kind === 'snippet') {
+                        result.rejected.push({ step: step.title, command: item.text.split('\n')[0], reason: 'is not a shell command' });
+                        return;
+                    }
+                    if (item.kind !== 'shell') return;
+
+                    const command = item.text;
+                    const reason = interactiveReason(command);
+                    if (reason) {
+                        result.rejected.push({ step: step.title, command, reason });
+                        return;
+                    }
+                    // A PPA added in runcmd would come too late for the packages that need it
+                    const ppa = command.match(ADD_PPA_PATTERN);
+                    if (ppa) {
+                        if (!result.aptSources.includes(ppa[1])) result.aptSources.push(ppa[1]);
+                        result.packageUpdate = true;
+                        return;
+                    }
+                    const install = command.match(PACKAGE_INSTALL_PATTERN);
+                    if (install) {
+                        install[1].split(/\s+/).filter(word => !word.startsWith('-')).forEach((name) => {
+                            if (!result.packages.includes(name)) result.packages.push(name);
+                        });
+                        return;
+                    }
+                    if (PACKAGE_UPDATE_PATTERN.test(command) || PACKAGE_UPGRADE_PATTERN.test(command)) {
+                        result.packageUpdate = true;
+                        result.packageUpgrade = result.packageUpgrade || PACKAGE_UPGRADE_PATTERN.test(command);
+                        return;
+                    }
+                    const root = /^sudo\s/.test(command);
+                    addCommand(root ? command : inAppDir(command, appDir, repoDirs), root);
+                });
+            });
+        });
+    });
+    return result;
+};
+
+// Build the user-data text. Returns { userData, rejected } so callers can show what was left out.
+export const generateCloudInit = (content, { targetOs, profile }) => {
+    // The login user is always known here, so placeholders like fastapi@ec2-user match the distro
+    const user = resolveOsUser(profile, targetOs);
+    // One app directory for the clone, the virtualenv, the systemd unit and the Nginx site
+    const appDir = String(profile.appDir || '').trim().replace(/\/+$/, '') || `/home/${user}/app`;
+    const compiled = compileCloudInit(content, { profile: { ...profile, osUser: user, appDir }, appDir });
+    const lines = [
+        '#cloud-config',
+        '# user-data.yaml - generated by the FastAPI + Uvicorn on AWS EC2 Deployment Checklist',
+        `# Target OS: ${osLabel(targetOs)}`,
+        '# Paste into "Advanced details > User data" when launching the instance (step 2.1).',
+        '# Progress is logged to /var/log/cloud-init-output.log on the instance.',
+    ];
+    if (compiled.rejected.length > 0) {
+        lines.push('#', '# Left out because they cannot run unattended; do these by hand after boot:');
+        compiled.rejected.forEach(({ step, command, reason }) => {
+            lines.push(`#   [${step}] ${command.replace(/\n/g, ' ')} - ${reason}`);
+        });
+    }
+
+    if (compiled.aptSources.length > 0) {
+        lines.push('', 'apt:', '  sources:');
+        compiled.aptSources.forEach((source) => {
+            lines.push(`    ${source.replace(/^ppa:/, '').replace(/\//g, '-')}:`, `      source: ${JSON.stringify(source)}`);
+        });
+    }
+    if (compiled.packageUpdate) lines.push('', 'package_update: true');
+    if (compiled.packageUpgrade) lines.push('package_upgrade: true');
+    if (compiled.packages.length > 0) {
+        lines.push('', 'packages:', ...compiled.packages.map(name => `  - ${yamlScalar(name)}`));
+    }
+
+    if (compiled.files.length > 0) {
+        lines.push('', 'write_files:');
+        compiled.files.forEach(({ path, content: body }) => {
+            lines.push(`  - path: ${yamlScalar(path)}`, "    permissions: '0644'");
+            if (/^\s/.test(body)) {
+                lines.push(`    content: ${JSON.stringify(body)}`);
+            } else {
+                lines.push('    content: |', ...literalBlock(body, 6));
+            }
+        });
+    }
+
+    const runcmd = [...compiled.runcmd];
+    // The login user can only clone outside its home once the directory exists and is theirs
+    if (!appDir.startsWith(`/home/${user}/`) && runcmd.some(entry => !entry.root)) {
+        runcmd.unshift({ root: true, command: `install -d -o ${user} ${shellQuote(appDir)}` });
+    }
+    if (compiled.files.some(file => file.path.startsWith('/etc/systemd/'))) {
+        runcmd.unshift({ root: true, command: 'systemctl daemon-reload' });
+    }
+    if (runcmd.length > 0) {
+        lines.push('', '# runcmd runs as root; commands without sudo run as the login user from their home directory', 'runcmd:');
+        runcmd.forEach((entry) => {
+            if (entry.root && !entry.command.includes('\n')) {
+                lines.push(`  - ${yamlScalar(entry.command)}`);
+                return;
+            }
+            const script = entry.root
+                ? entry.command
+                : [`sudo -u ${user} -H bash -e <<'${USER_DELIMITER}'`, 'cd ~', ...entry.commands, USER_DELIMITER].join('\n');
+            lines.push('  - |', ...literalBlock(script, 4));
+        });
+    }
+
+    lines.push('');
+    return { userData: lines.join('\n'), rejected: compiled.rejected };
+};
@@ -0,0 +1,79 @@
+// Helpers for turning checklist command blocks into machine-usable instructions.
+// A command block mixes shell commands, '#' comment lines, blank separators and
+// file bodies meant to be typed into an editor opened by a preceding 'sudo nano <path>'.
+
+// Lines that open an editor on a file; the following multi-line entry is that file's content
+const EDITOR_PATTERN = /^\s*(?:sudo\s+)?(?:nano|vi|vim)\s+(\S+)\s*$/;
+
+// Remove the common leading indentation of a multi-line snippet.
+export const dedent = (text) => {
+    const lines = text.split('\n');
+    const indents = lines
+        .filter(line => line.trim() !== '')
+        .map(line => line.match(/^\s*/)[0].length);
+    const common = indents.length > 0 ? Math.min(...indents) : 0;
+    return lines.map(line => line.slice(common)).join('\n');
+};
+
+// Returns true for a multi-line entry that is itself a shell command (e.g. a 'tee <<EOF' heredoc).
+const isShellHeredoc = (entry) => /<<-?\s*'?"?\w+'?"?/.test(entry.split('\n')[0]);
+
+// A 'sudo tee <path> <<EOF ... EOF' heredoc that (over)writes a whole file
+const TEE_HEREDOC_PATTERN = /^\s*(?:sudo\s+)?tee\s+(\/\S+)[^\n]*<<-?\s*'?"?(\w+)'?"?[^\n]*\n([\s\S]*?)\n\2\s*$/;
+
+// Split a command block's entries into typed items:
+//   { kind: 'shell', text }          a command to run
+//   { kind: 'comment', text }        a '# ...' line, without the leading '#'
+//   { kind: 'blank' }                an empty separator
+//   { kind: 'file', path, content }  a file body written with an editor or a 'tee' heredoc
+//   { kind: 'snippet', text }        a multi-line body with no editor line before it
+export const parseCommands = (commands) => {
+    const items = [];
+    commands.forEach((entry) => {
+        if (entry.trim() === '') {
+            items.push({ kind: 'blank' });
+            return;
+        }
+        const teeMatch = entry.match(TEE_HEREDOC_PATTERN);
+        if (teeMatch) {
+            items.push({ kind: 'file', path: teeMatch[1], content: `${teeMatch[3]}\n` });
+            return;
+        }
+        if (entry.includes('\n') && !isShellHeredoc(entry)) {
+            const previous = items[items.length - 1];
+            const editorMatch = previous && previous.kind === 'shell' && previous.text.match(EDITOR_PATTERN);
+            if (editorMatch) {
+                // The editor line is replaced by writing the file directly
+                items[items.length - 1] = { kind: 'file', path: editorMatch[1], content: dedent(entry).replace(/\n*$/, '\n') };
+            } else {
+                items.push({ kind: 'snippet', text: dedent(entry) });
+            }
+            return;
+        }
+        if (entry.trim().startsWith('#')) {
+            items.push({ kind: 'comment', text: entry.trim().replace(/^#\s*/, '') });
+            return;
+        }
+        items.push({ kind: 'shell', text: entry.trim() });
+    });
+    return items;
+};
+
+// Returns true if a command block should be part of an unattended provisioning run on the instance.
+export const isProvisioningBlock = (block) => (
+    block.type === 'command' &&
+    (block.runsOn || 'instance') === 'instance' &&
+    block.provision !== false &&
+    (block.language || 'bash') === 'bash'
+);
+
+// Text to copy for a single entry. File bodies are dedented so they paste cleanly into an editor.
+export const copyableEntry = (entry) => (
+    entry.includes('\n') && !isShellHeredoc(entry) ? dedent(entry).replace(/^\n+|\n+$/g, '') : entry.trim()
+);
+
+// Only the commands of a block, for pasting into a terminal: comment lines, blank separators
+// and file bodies meant for an editor are left out. Heredocs are commands and are kept whole.
+export const shellCommands = (commands) => commands
+    .filter(entry => entry.trim() !== '' && !entry.trim().startsWith('#') && (!entry.includes('\n') || isShellHeredoc(entry)))
+    .map(entry => entry.trim());
@@ -0,0 +1,126 @@
+// CORS configuration generator used by the section 7.1 CORS builder: a FastAPI
+// CORSMiddleware snippet and an equivalent Nginx add_header alternative.
+
+export const DEFAULT_CORS_OPTIONS = {
+    apiUrl: 'https://your_domain.com',
+    origins: 'http://localhost:3000\nhttps://your-frontend.com',
+    methods: 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
+    headers: 'Authorization, Content-Type',
+    credentials: true,
+};
+
+// Split a list field on newlines/commas
+export const parseList = (text) => text.split(/[\n,]+/).map(item => item.trim()).filter(Boolean);
+
+const isLocalhost = (origin) => /^https?:\/\/(localhost|127\.0\.0\.1|\[::1\])(:\d+)?$/.test(origin);
+
+// Problems with the options; each is { level: 'error' | 'warning', message }
+export const validateCorsOptions = (options) => {
+    const problems = [];
+    const error = (message) => problems.push({ level: 'error', message });
+    const warning = (message) => problems.push({ level: 'warning', message });
+    const origins = parseList(options.origins);
+    const apiScheme = (options.apiUrl.match(/^(https?):\/\//) || [])[1];
+
+    if (origins.length === 0) {
+        error('Add at least one frontend origin.');
+    }
+    if (origins.includes('*')) {
+        if (options.credentials) {
+            error('allow_origins=["*"] with allow_credentials=True: browsers reject a wildcard origin on credentialed requests. List the exact origins instead.');
+        } else if (origins.length > 1) {
+            warning('"*" already allows every origin; the other entries are redundant.');
+        } else {
+            warning('"*" lets any website call your API. Prefer listing your frontend origins in production.');
+        }
+    }
+    if (options.credentials && parseList(options.headers).includes('*')) {
+        warning('With credentials, browsers treat Access-Control-Allow-Headers "*" literally; list the headers you need.');
+    }
+
+    const seen = new Set();
+    origins.filter(origin => origin !== '*').forEach((origin) => {
+        if (seen.has(origin)) {
+            warning(`${origin} is listed twice.`);
+        }
+        seen.add(origin);
+        if (!/^https?:\/\//.test(origin)) {
+            error(`${origin} has no scheme; origins must start with http:// or https://.`);
+            return;
+        }
+        if (origin.endsWith('/')) {
+            error(`${origin} ends with a slash. Browsers send the Origin header without one, so it will never match; use ${origin.replace(/\/+$/, '')}.`);
+        } else if (/^https?:\/\/[^/]+\/.+/.test(origin)) {
+            error(`${origin} contains a path; an origin is only scheme://host[:port].`);
+        }
+        if (origin !== origin.toLowerCase()) {
+            warning(`${origin} contains upper-case letters; Starlette compares origins exactly.`);
+        }
+        if (apiScheme === 'https' && origin.startsWith('http://') && !isLocalhost(origin)) {
+            warning(`${origin} is plain http while the API is served over https; deployed frontends are usually https too (did you mean ${origin.replace('http://', 'https://')}?).`);
+        }
+        if (apiScheme === 'http' && origin.startsWith('https://')) {
+            warning(`${origin} is https while the API URL is http; browsers block http requests from https pages (mixed content).`);
+        }
+    });
+    return problems;
+};
+
+const pythonList = (items) => `[${items.map(item => JSON.stringify(item)).join(', ')}]`;
+
+// Lines of the CORSMiddleware snippet for main.py
+export const generateCorsMiddleware = (options) => {
+    const origins = parseList(options.origins).map(origin => (origin === '*' ? origin : origin.replace(/\/+$/, '')));
+    const methods = parseList(options.methods).map(method => method.toUpperCase());
+    const headers = parseList(options.headers);
+    return [
+        'from fastapi.middleware.cors import CORSMiddleware',
+        '',
+        'app.add_middleware(',
+        '    CORSMiddleware,',
+        `    allow_origins=${pythonList(origins)},`,
+        `    allow_credentials=${options.credentials ? 'True' : 'False'},`,
+        `    allow_methods=${pythonList(methods.length > 0 ? methods : ['*'])},`,
+        `    allow_headers=${pythonList(headers.length > 0 ? headers : ['*'])},`,
+        ')',
+    ];
+};
+
+// Nginx equivalent, for setups that prefer handling CORS at the proxy.
+// The map goes at http level (e.g. top of the site file), the rest inside 'location / { ... }'.
+export const generateNginxCors = (options) => {
+    const origins = parseList(options.origins).map(origin => (origin === '*' ? origin : origin.replace(/\/+$/, '')));
+    const methods = parseList(options.methods).map(method => method.toUpperCase()).join(', ') || '*';
+    const headers = parseList(options.headers).join(', ') || '*';
+    const wildcard = origins.includes('*');
+    const lines = [];
+    if (!wildcard) {
+        lines.push(
+            '# At http level (outside server {}):',
+            'map $http_origin $cors_origin {',
+            '    default "";',
+            ...origins.map(origin => `    "${origin}" $http_origin;`),
+            '}',
+            '',
+        );
+    }
+    lines.push(
+        '# Inside location / { ... }:',
+        `add_header Access-Control-Allow-Origin ${wildcard ? '"*"' : '$cors_origin'} always;`,
+    );
+    if (!wildcard) {
+        lines.push('add_header Vary Origin always;');
+    }
+    if (options.credentials) {
+        lines.push('add_header Access-Control-Allow-Credentials "true" always;');
+    }
+    lines.push(
+        `add_header Access-Control-Allow-Methods "${methods}" always;`,
+        `add_header Access-Control-Allow-Headers "${headers}" always;`,
+        '',
+        'if ($request_method = OPTIONS) {',
+        '    return 204;',
+        '}',
+    );
+    return lines;
+};
@@ -0,0 +1,127 @@
+// Generates a single bash provisioning script (deploy.sh) from the checklist steps
+// visible for the selected target OS, with the deployment profile substituted in.
+
+import { applyProfile } from '../profile.js';
+import { osLabel } from '../platforms.js';
+import { parseCommands, isProvisioningBlock } from './commands.js';
+
+// Heredoc delimiter for written files; unlikely to appear inside a config file
+const FILE_DELIMITER = 'DEPLOY_EOF';
+
+// Why a command block was left out of the script, for the explanatory comment
+const SKIP_REASONS = {
+    local: 'runs on your local machine',
+    console: 'done in the AWS Console',
+    manual: 'manual alternative or diagnostic',
+    snippet: 'application code, not a shell command',
+};
+
+// Quote a string for use as a single bash word.
+export const shellQuote = (text) => `'${text.replace(/'/g, `'\\''`)}'`;
+
+const basename = (path) => path.replace(/\/+$/, '').split('/').pop();
+
+// Wrap a command with a guard so re-running the script doesn't fail on work already done.
+export const guardCommand = (command) => {
+    let match = command.match(/^(?:sudo\s+)?ln\s+-s\s+(\S+)\s+(\S+)$/);
+    if (match) {
+        const link = match[2].endsWith('/') ? `${match[2]}${basename(match[1])}` : match[2];
+        return `[ -L ${link} ] || ${command}`;
+    }
+    match = command.match(/^(?:sudo\s+)?unlink\s+(\S+)$/);
+    if (match) {
+        return `[ ! -L ${match[1]} ] || ${command}`;
+    }
+    match = command.match(/^git\s+clone\s+(\S+)(?:\s+(\S+))?$/);
+    if (match) {
+        const dir = match[2] || basename(match[1]).replace(/\.git$/, '');
+        return `[ -d ${dir} ] || ${command}`;
+    }
+    match = command.match(/^python[\d.]*\s+-m\s+(?:venv|virtualenv)\s+(\S+)$/);
+    if (match) {
+        return `[ -d ${match[1]} ] || ${command}`;
+    }
+    // Package installs must not stop at a confirmation prompt
+    if (/^(?:sudo\s+)?(?:apt|apt-get|dnf|yum)\s+install\b/.test(command) && !/\s-y\b/.test(command)) {
+        return command.replace(/\binstall\b/, 'install -y');
+    }
+    return command;
+};
+
+// Lines writing a file body with sudo tee, plus a daemon-reload for systemd units.
+const writeFileLines = (path, content) => {
+    const lines = [
+        `sudo mkdir -p ${path.replace(/\/[^/]*$/, '') || '/'}`,
+        `sudo tee ${path} >/dev/null <<'${FILE_DELIMITER}'`,
+        ...content.replace(/\n$/, '').split('\n'),
+        FILE_DELIMITER,
+    ];
+    if (path.startsWith('/etc/systemd/')) {
+        lines.push('sudo systemctl daemon-reload');
+    }
+    return lines;
+};
+
+const skipReason = (block) => {
+    if (block.runsOn === 'local') return SKIP_REASONS.local;
+    if (block.runsOn === 'console') return SKIP_REASONS.console;
+    if ((block.language || 'bash') !== 'bash') return SKIP_REASONS.snippet;
+    return SKIP_REASONS.manual;
+};
+
+// Script lines for one provisioning command block.
+const blockLines = (block, profile) => {
+    const lines = [];
+    if (block.platform) {
+        lines.push(`# [${block.platform}]`);
+    }
+    const items = parseCommands(block.commands.map(cmd => applyProfile(cmd, profile)));
+    items.forEach((item) => {
+        if (item.kind === 'blank') {
+            lines.push('');
+        } else if (item.kind === 'comment') {
+            lines.push(`echo ${shellQuote(`  -> ${item.text}`)}`);
+        } else if (item.kind === 'file') {
+            lines.push(`echo ${shellQuote(`  -> Writing ${item.path}`)}`);
+            lines.push(...writeFileLines(item.path, item.content));
+        } else if (item.kind === 'snippet') {
+            lines.push('# The following snippet is not a shell command; apply it by hand:');
+            item.text.split('\n').forEach(line => lines.push(`#   ${line}`));
+        } else {
+            lines.push(guardCommand(item.text));
+        }
+    });
+    return lines;
+};
+
+// Build the deploy.sh text. 'content' must already be filtered for 'targetOs'.
+export const generateDeployScript = (content, { targetOs, profile }) => {
+    const lines = [
+        '#!/usr/bin/env bash',
+        '# deploy.sh - generated by the FastAPI + Uvicorn on AWS EC2 Deployment Checklist',
+        `# Target OS: ${osLabel(targetOs)}`,
+        '# Run on the EC2 instance as your deployment user: bash deploy.sh',
+        '# Safe to re-run: steps that were already done are skipped.',
+        'set -euo pipefail',
+    ];
+
+    content.forEach((mainSection) => {
+        const steps = mainSection.sections.filter(step => step.contentBlocks.some(isProvisioningBlock));
+        if (steps.length === 0) return;
+
+        lines.push('', `# ${'='.repeat(70)}`, `# ${mainSection.title}`, `# ${'='.repeat(70)}`);
+        steps.forEach((step) => {
+            lines.push('', `# --- ${step.title} ---`, `echo ${shellQuote(`==> ${step.title}`)}`);
+            step.contentBlocks.filter(block => block.type === 'command').forEach((block) => {
+                if (isProvisioningBlock(block)) {
+                    lines.push(...blockLines(block, profile));
+                } else {
+                    lines.push(`# Skipped [${block.platform || 'commands'}]: ${skipReason(block)}`);
+                }
+            });
+        });
+    });
+
+    lines.push('', `echo ${shellQuote('==> Done')}`, '');
+    return lines.join('\n');
+};
@@ -0,0 +1,173 @@
+// Terraform and CloudFormation export for the EC2 launch steps (section 2 and 9.2):
+// AMI family from the target OS, instance type and key pair from the deployment profile,
+// inbound rules from the security group planner's final phase, plus an Elastic IP.
+
+import { PHASES, parsePortRange, finalRules, validatePhase } from './security-groups.js';
+
+// Public SSM parameters resolving to the latest AMI of each family
+export const AMI_PARAMETERS = {
+    ubuntu: '/aws/service/canonical/ubuntu/server/22.04/stable/current/amd64/hvm/ebs-gp2/ami-id',
+    al2023: '/aws/service/ami-amazon-linux-latest/al2023-ami-kernel-default-x86_64',
+};
+
+const DEFAULT_INSTANCE_TYPE = 't3.micro';
+const DEFAULT_KEY_NAME = 'your-key';
+
+// Inputs shared by both templates
+const launchSettings = ({ targetOs, profile, securityGroupPlan }) => ({
+    amiParameter: AMI_PARAMETERS[targetOs],
+    instanceType: profile.instanceType || DEFAULT_INSTANCE_TYPE,
+    // EC2 key pairs are named without the '.pem' of the downloaded file
+    keyName: (profile.keyFile || DEFAULT_KEY_NAME).split('/').pop().replace(/\.pem$/, ''),
+    rules: finalRules(securityGroupPlan).map(rule => ({ ...rule, ...parsePortRange(rule.port) })),
+});
+
+// Problems with the exported rules (the planner's final phase), shown in the export dialog:
+// invalid rules are left out and an unset My IP exports the documentation placeholder.
+export const infrastructureWarnings = ({ profile, securityGroupPlan }) => {
+    const phase = PHASES[PHASES.length - 1];
+    return validatePhase(phase.id, securityGroupPlan.phases[phase.id], securityGroupPlan.myIp, profile.port)
+        .map(problem => ({ ...problem, message: `Security group planner, ${phase.label}: ${problem.message}` }));
+};
+
+const hclString = (value) => JSON.stringify(value);
+
+// main.tf for a standalone Terraform module
+export const generateTerraform = (options) => {
+    const { amiParameter, instanceType, keyName, rules } = launchSettings(options);
+    const ingress = rules.map(rule => [
+        '  ingress {',
+        `    description = ${hclString(rule.description || `tcp ${rule.port}`)}`,
+        `    from_port   = ${rule.from}`,
+        `    to_port     = ${rule.to}`,
+        '    protocol    = "tcp"',
+        rule.cidr.includes(':') ? `    ipv6_cidr_blocks = [${hclString(rule.cidr)}]` : `    cidr_blocks = [${hclString(rule.cidr)}]`,
+        '  }',
+    ].join('\n'));
+
+    return `# main.tf - generated by the FastAPI + Uvicorn on AWS EC2 Deployment Checklist
+# terraform init && terraform apply
+
+terraform {
+  required_providers {
+    aws = {
+      source  = "hashicorp/aws"
+      version = ">= 5.0"
+    }
+  }
+}
+
+variable "instance_type" {
+  type    = string
+  default = ${hclString(instanceType)}
+}
+
+variable "key_name" {
+  description = "Name of an existing EC2 key pair"
+  type        = string
+  default     = ${hclString(keyName)}
+}
+
+data "aws_ssm_parameter" "ami" {
+  name = ${hclString(amiParameter)}
+}
+
+resource "aws_security_group" "fastapi" {
+  name        = "fastapi-app"
+  description = "FastAPI app behind Nginx"
+
+${ingress.join('\n\n')}
+
+  egress {
+    from_port   = 0
+    to_port     = 0
+    protocol    = "-1"
+    cidr_blocks = ["0.0.0.0/0"]
+  }
+}
+
+resource "aws_instance" "fastapi" {
+  ami                    = data.aws_ssm_parameter.ami.value
+  instance_type          = var.instance_type
+  key_name               = var.key_name
+  vpc_security_group_ids = [aws_security_group.fastapi.id]
+
+  tags = {
+    Name = "fastapi-app"
+  }
+}
+
+resource "aws_eip" "fastapi" {
+  instance = aws_instance.fastapi.id
+  domain   = "vpc"
+}
+
+output "public_ip" {
+  description = "Elastic IP to point your DNS A record at"
+  value       = aws_eip.fastapi.public_ip
+}
+`;
+};
+
+const yamlString = (value) => JSON.stringify(value);
+
+// CloudFormation template (YAML) equivalent to the Terraform module
+export const generateCloudFormation = (options) => {
+    const { amiParameter, instanceType, keyName, rules } = launchSettings(options);
+    const ingress = rules.map(rule => [
+        '        - IpProtocol: tcp',
+        `          FromPort: ${rule.from}`,
+        `          ToPort: ${rule.to}`,
+        rule.cidr.includes(':') ? `          CidrIpv6: ${yamlString(rule.cidr)}` : `          CidrIp: ${yamlString(rule.cidr)}`,
+        `          Description: ${yamlString(rule.description || `tcp ${rule.port}`)}`,
+    ].join('\n'));
+
+    return `# ec2-stack.yaml - generated by the FastAPI + Uvicorn on AWS EC2 Deployment Checklist
+# aws cloudformation deploy --template-file ec2-stack.yaml --stack-name fastapi-app
+AWSTemplateFormatVersion: "2010-09-09"
+Description: EC2 instance, security group and Elastic IP for a FastAPI app behind Nginx
+
+Parameters:
+  InstanceType:
+    Type: String
+    Default: ${yamlString(instanceType)}
+  KeyName:
+    Description: Name of an existing EC2 key pair
+    Type: AWS::EC2::KeyPair::KeyName
+    Default: ${yamlString(keyName)}
+  LatestAmiId:
+    Type: AWS::SSM::Parameter::Value<AWS::EC2::Image::Id>
+    Default: ${yamlString(amiParameter)}
+
+Resources:
+  AppSecurityGroup:
+    Type: AWS::EC2::SecurityGroup
+    Properties:
+      GroupDescription: FastAPI app behind Nginx
+      SecurityGroupIngress:
+${ingress.join('\n') || '        []'}
+
+  AppInstance:
+    Type: AWS::EC2::Instance
+    Properties:
+      ImageId: !Ref LatestAmiId
+      InstanceType: !Ref InstanceType
+      KeyName: !Ref KeyName
+      SecurityGroupIds:
+        - !GetAtt AppSecurityGroup.GroupId
+      Tags:
+        - Key: Name
+          Value: fastapi-app
+
+  AppElasticIp:
+    Type: AWS::EC2::EIP
+    Properties:
+      Domain: vpc
+      InstanceId: !Ref AppInstance
+
+Outputs:
+  PublicIp:
+    Description: Elastic IP to point your DNS A record at
+    Value: !Ref AppElasticIp
+`;
+};
@@ -0,0 +1,165 @@
+// Nginx reverse-proxy server block generator used by the step 6.1 config builder.
+
+// Where the site file lives and how it is enabled on each distro. The enable commands can
+// be run again (e.g. after changing the config) without failing on work already done.
+const NGINX_LAYOUTS = {
+    ubuntu: {
+        path: '/etc/nginx/sites-available/fastapi_app',
+        enable: [
+            'sudo ln -sf /etc/nginx/sites-available/fastapi_app /etc/nginx/sites-enabled/',
+            'sudo rm -f /etc/nginx/sites-enabled/default',
+        ],
+    },
+    al2023: {
+        path: '/etc/nginx/conf.d/fastapi.conf',
+        enable: [
+            'sudo systemctl enable --now nginx',
+        ],
+    },
+};
+
+export const DEFAULT_NGINX_OPTIONS = {
+    os: 'ubuntu',
+    domains: '',
+    upstream: 'port',
+    port: '8000',
+    socketPath: '/run/fastapi/fastapi.sock',
+    staticPath: '',
+    websockets: false,
+    clientMaxBodySize: '10m',
+    gzip: true,
+    tls: false,
+    httpsRedirect: false,
+};
+
+// Split the domains field on commas/whitespace
+export const parseDomains = (domains) => domains.split(/[\s,]+/).map(domain => domain.trim()).filter(Boolean);
+
+// Problems with the chosen options that would produce a broken or surprising config
+export const validateNginxOptions = (options) => {
+    const warnings = [];
+    const domains = parseDomains(options.domains);
+    if (options.upstream === 'port' && !/^\d+$/.test(options.port)) {
+        warnings.push('Upstream port must be a number.');
+    }
+    if (options.upstream === 'socket' && !options.socketPath.startsWith('/')) {
+        warnings.push('Unix socket path must be absolute (e.g. /run/fastapi/fastapi.sock).');
+    }
+    if (options.staticPath && !options.staticPath.startsWith('/')) {
+        warnings.push('Static files path must be absolute.');
+    }
+    if (options.tls && domains.length === 0) {
+        warnings.push('Certbot certificates are issued per domain: enter at least one domain to enable TLS.');
+    }
+    if (options.httpsRedirect && !options.tls) {
+        warnings.push('Redirecting HTTP to HTTPS without a TLS server block leaves the site unreachable.');
+    }
+    if (options.clientMaxBodySize && !/^\d+[kKmMgG]?$/.test(options.clientMaxBodySize)) {
+        warnings.push('client_max_body_size must be a size like 10m, 512k or 1g.');
+    }
+    return warnings;
+};
+
+// Address of the app server for the 'upstream' block
+const upstreamServer = (options) => (
+    options.upstream === 'socket' ? `unix:${options.socketPath}` : `127.0.0.1:${options.port}`
+);
+
+// The 'location' blocks, indented for a server block
+const locationLines = (options) => {
+    const lines = [
+        '    location / {',
+        '        proxy_pass http://fastapi_upstream;',
+        '        proxy_http_version 1.1;',
+        '        proxy_set_header Host $host;',
+        '        proxy_set_header X-Real-IP $remote_addr;',
+        '        proxy_set_header X-Forwarded-For $proxy_add_x_forwarded_for;',
+        '        proxy_set_header X-Forwarded-Proto $scheme;',
+    ];
+    if (options.websockets) {
+        lines.push(
+            '        proxy_set_header Upgrade $http_upgrade;',
+            '        proxy_set_header Connection $connection_upgrade;',
+            '        proxy_read_timeout 3600s;',
+        );
+    }
+    lines.push('    }');
+    if (options.staticPath) {
+        const alias = options.staticPath.endsWith('/') ? options.staticPath : `${options.staticPath}/`;
+        lines.push('', '    location /static/ {', `        alias ${alias};`, '    }');
+    }
+    return lines;
+};
+
+// Body shared by the HTTP and HTTPS server blocks
+const serverBodyLines = (options, serverName) => {
+    const body = [`    server_name ${serverName};`];
+    if (options.clientMaxBodySize) {
+        body.push(`    client_max_body_size ${options.clientMaxBodySize};`);
+    }
+    if (options.gzip) {
+        body.push(
+            '',
+            '    gzip on;',
+            '    gzip_proxied any;',
+            '    gzip_min_length 1024;',
+            '    gzip_types text/plain text/css application/json application/javascript text/xml application/xml;',
+        );
+    }
+    return [...body, '', ...locationLines(options)];
+};
+
+// Build the server block file. Returns { path, config, commands, warnings }.
+export const generateNginxConfig = (options) => {
+    const layout = NGINX_LAYOUTS[options.os] || NGINX_LAYOUTS.ubuntu;
+    const domains = parseDomains(options.domains);
+    const serverName = domains.length > 0 ? domains.join(' ') : '_';
+
+    const lines = [
+        `# ${layout.path} - generated by the FastAPI deployment checklist`,
+        'upstream fastapi_upstream {',
+        `    server ${upstreamServer(options)};`,
+        '}',
+    ];
+    if (options.websockets) {
+        lines.push('', 'map $http_upgrade $connection_upgrade {', '    default upgrade;', "    ''      close;", '}');
+    }
+
+    const tls = options.tls && domains.length > 0;
+    lines.push('', 'server {', `    listen 80${serverName === '_' ? ' default_server' : ''};`);
+    if (tls && options.httpsRedirect) {
+        lines.push(`    server_name ${serverName};`, '', '    return 301 https://$host$request_uri;');
+    } else {
+        lines.push(...serverBodyLines(options, serverName));
+    }
+    lines.push('}');
+
+    if (tls) {
+        const certDir = `/etc/letsencrypt/live/${domains[0]}`;
+        lines.push(
+            '',
+            'server {',
+            '    listen 443 ssl http2;',
+            `    ssl_certificate ${certDir}/fullchain.pem;`,
+            `    ssl_certificate_key ${certDir}/privkey.pem;`,
+            '    include /etc/letsencrypt/options-ssl-nginx.conf;',
+            '    ssl_dhparam /etc/letsencrypt/ssl-dhparams.pem;',
+            '',
+            ...serverBodyLines(options, serverName),
+            '}',
+        );
+    }
+
+    const config = `${lines.join('\n')}\n`;
+    const commands = [
+        `sudo tee ${layout.path} >/dev/null <<'EOF'\n${config}EOF`,
+        ...layout.enable,
+        'sudo nginx -t',
+        'sudo systemctl reload nginx',
+    ];
+    if (tls) {
+        // Certificates must exist before the 443 block is loaded
+        commands.unshift(`sudo certbot certonly --nginx ${domains.map(domain => `-d ${domain}`).join(' ')}`);
+    }
+    return { path: layout.path, config, commands, warnings: validateNginxOptions(options) };
+};
@@ -0,0 +1,179 @@
+// systemd and Supervisord unit generator used by the step 6.3 process manager tool.
+
+// Where each distro's Supervisord reads program files from
+const SUPERVISOR_LAYOUTS = {
+    ubuntu: { dir: '/etc/supervisor/conf.d', extension: 'conf' },
+    al2023: { dir: '/etc/supervisord.d', extension: 'ini' },
+};
+
+export const DEFAULT_PROCESS_OPTIONS = {
+    os: 'ubuntu',
+    serviceName: 'fastapi',
+    appDir: '/home/ec2-user/app',
+    venvPath: '/home/ec2-user/app/.venv',
+    user: 'ec2-user',
+    asgiModule: 'main:app',
+    host: '127.0.0.1',
+    port: '8000',
+    workers: '2',
+    server: 'uvicorn',
+    restart: 'on-failure',
+    environmentFile: '',
+};
+
+export const SERVER_CHOICES = [
+    { value: 'uvicorn', label: 'uvicorn' },
+    { value: 'gunicorn', label: 'gunicorn + UvicornWorker' },
+];
+
+// Restart= values systemd accepts, with whether they suit a long-running web app
+export const RESTART_POLICIES = [
+    { value: 'on-failure', label: 'on-failure', sane: true },
+    { value: 'always', label: 'always', sane: true },
+    { value: 'on-abnormal', label: 'on-abnormal', sane: true },
+    { value: 'on-abort', label: 'on-abort', sane: false },
+    { value: 'on-watchdog', label: 'on-watchdog', sane: false },
+    { value: 'on-success', label: 'on-success', sane: false },
+    { value: 'no', label: 'no', sane: false },
+];
+
+const stripTrailingSlash = (path) => path.replace(/\/+$/, '') || '/';
+
+// The command line starting the app server from the virtualenv
+export const execCommand = (options) => {
+    const venvBin = `${stripTrailingSlash(options.venvPath)}/bin`;
+    const bind = `${options.host}:${options.port}`;
+    if (options.server === 'gunicorn') {
+        return `${venvBin}/gunicorn -w ${options.workers} -k uvicorn.workers.UvicornWorker ${options.asgiModule} -b ${bind}`;
+    }
+    return `${venvBin}/uvicorn ${options.asgiModule} --host ${options.host} --port ${options.port} --workers ${options.workers}`;
+};
+
+// Problems with the options; each is { level: 'error' | 'warning', message }
+export const validateProcessOptions = (options) => {
+    const problems = [];
+    const error = (message) => problems.push({ level: 'error', message });
+    const warning = (message) => problems.push({ level: 'warning', message });
+
+    ['appDir', 'venvPath'].forEach((key) => {
+        if (!options[key].startsWith('/')) {
+            error(`${key === 'appDir' ? 'App directory' : 'Virtualenv path'} must be absolute; systemd and Supervisord do not resolve relative paths.`);
+        }
+    });
+    if (options.environmentFile && !options.environmentFile.startsWith('/')) {
+        error('EnvironmentFile must be an absolute path.');
+    }
+    if (!/^[a-z_][a-z0-9_-]*\$?$/.test(options.user)) {
+        error(`"${options.user}" is not a valid Linux user name.`);
+    } else if (options.user === 'root') {
+        warning('Running the app as root gives any vulnerability full control of the instance; use a dedicated user.');
+    }
+    const homeMatch = options.appDir.match(/^\/home\/([^/]+)/);
+    if (homeMatch && homeMatch[1] !== options.user) {
+        error(`App directory is in /home/${homeMatch[1]} but the service runs as "${options.user}"; it will not be able to read it.`);
+    }
+    if (options.venvPath.startsWith('/') && options.appDir.startsWith('/') && !stripTrailingSlash(options.venvPath).startsWith(stripTrailingSlash(options.appDir))) {
+        warning('The virtualenv is outside the app directory; make sure the service user can read it.');
+    }
+    if (!/^[a-zA-Z_][\w.]*:[a-zA-Z_]\w*$/.test(options.asgiModule)) {
+        error('ASGI module must look like "package.module:app".');
+    }
+    if (!/^\d+$/.test(options.port) || Number(options.port) < 1 || Number(options.port) > 65535) {
+        error('Port must be a number between 1 and 65535.');
+    } else if (Number(options.port) < 1024 && options.user !== 'root') {
+        error('Ports below 1024 need root; keep the app on a high port behind Nginx.');
+    }
+    if (!/^\d+$/.test(options.workers) || Number(options.workers) < 1) {
+        error('Workers must be a positive number.');
+    }
+    if (options.host === '0.0.0.0') {
+        warning('Binding to 0.0.0.0 exposes the app directly; behind Nginx use 127.0.0.1.');
+    }
+    const policy = RESTART_POLICIES.find(p => p.value === options.restart);
+    if (!policy) {
+        error(`Restart=${options.restart} is not a systemd restart policy.`);
+    } else if (!policy.sane) {
+        warning(`Restart=${options.restart} will not bring the app back after a crash; use on-failure or always.`);
+    }
+    return problems;
+};
+
+// systemd unit for /etc/systemd/system/<serviceName>.service
+export const generateSystemdUnit = (options) => {
+    const appDir = stripTrailingSlash(options.appDir);
+    const lines = [
+        `# /etc/systemd/system/${options.serviceName}.service`,
+        '[Unit]',
+        `Description=FastAPI (${options.server}) - ${options.serviceName}`,
+        'After=network-online.target',
+        'Wants=network-online.target',
+        '',
+        '[Service]',
+        `User=${options.user}`,
+        `Group=${options.user}`,
+        `WorkingDirectory=${appDir}`,
+        `Environment=PATH=${stripTrailingSlash(options.venvPath)}/bin:/usr/bin:/bin`,
+    ];
+    if (options.environmentFile) {
+        lines.push(`EnvironmentFile=${options.environmentFile}`);
+    }
+    lines.push(
+        `ExecStart=${execCommand(options)}`,
+        `Restart=${options.restart}`,
+        'RestartSec=5',
+        '',
+        '[Install]',
+        'WantedBy=multi-user.target',
+    );
+    return `${lines.join('\n')}\n`;
+};
+
+// Supervisord program for /etc/supervisor/conf.d/<serviceName>.conf (Ubuntu) or
+// /etc/supervisord.d/<serviceName>.ini (Amazon Linux 2023)
+export const generateSupervisorProgram = (options) => {
+    const lines = [
+        `[program:${options.serviceName}]`,
+        `command=${execCommand(options)}`,
+        `directory=${stripTrailingSlash(options.appDir)}`,
+        `user=${options.user}`,
+        'autostart=true',
+        `autorestart=${options.restart === 'always' ? 'true' : 'unexpected'}`,
+        'stopasgroup=true',
+        'killasgroup=true',
+        `stdout_logfile=/var/log/supervisor/${options.serviceName}.log`,
+        `stderr_logfile=/var/log/supervisor/${options.serviceName}_error.log`,
+    ];
+    if (options.environmentFile) {
+        lines.push(`; Supervisord has no EnvironmentFile; copy the variables from ${options.environmentFile}`);
+        lines.push(';environment=KEY="value",OTHER_KEY="value"');
+    }
+    return `${lines.join('\n')}\n`;
+};
+
+// Both formats with their file paths and the commands to load them.
+export const generateProcessManagerFiles = (options) => {
+    const supervisorLayout = SUPERVISOR_LAYOUTS[options.os] || SUPERVISOR_LAYOUTS.ubuntu;
+    return {
+        problems: validateProcessOptions(options),
+        systemd: {
+            path: `/etc/systemd/system/${options.serviceName}.service`,
+            content: generateSystemdUnit(options),
+            commands: [
+                'sudo systemctl daemon-reload',
+                `sudo systemctl enable --now ${options.serviceName}`,
+                `sudo systemctl status ${options.serviceName} --no-pager`,
+                `# After editing the unit later: sudo systemctl daemon-reload && sudo systemctl restart ${options.serviceName}`,
+            ],
+        },
+        supervisor: {
+            path: `${supervisorLayout.dir}/${options.serviceName}.${supervisorLayout.extension}`,
+            content: generateSupervisorProgram(options),
+            commands: [
+                'sudo supervisorctl reread',
+                'sudo supervisorctl update',
+                `sudo supervisorctl status ${options.serviceName}`,
+                `# After editing the program later: sudo supervisorctl reread && sudo supervisorctl update && sudo supervisorctl restart ${options.serviceName}`,
+            ],
+        },
+    };
+};
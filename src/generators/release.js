@@ -0,0 +1,208 @@
+// release.sh generator used by the step 6.4 release tool. Each release is a fresh checkout in
+// <appDir>/releases/<timestamp> with its own virtualenv; <appDir>/current points at the live
+// one and the systemd unit runs from there, so switching releases is one symlink flip.
+
+import { shellQuote } from './deploy-script.js';
+
+export const DEFAULT_RELEASE_OPTIONS = {
+    appDir: '/home/ec2-user/app',
+    user: 'ec2-user',
+    serviceName: 'fastapi@ec2-user',
+    repoUrl: 'https://github.com/your-org/your-repo.git',
+    branch: 'main',
+    python: 'python3.9',
+    port: '8000',
+    healthPath: '/docs',
+    healthTimeout: '60',
+    keepReleases: '5',
+};
+
+const stripTrailingSlash = (path) => path.replace(/\/+$/, '') || '/';
+
+// Escape text for a sed 's#pattern#replacement#' expression
+const sedPattern = (text) => text.replace(/[\\#.*^$[\]]/g, '\\$&');
+const sedReplacement = (text) => text.replace(/[\\#&]/g, '\\$&');
+
+// Problems with the options; each is { level: 'error' | 'warning', message }
+export const validateReleaseOptions = (options) => {
+    const problems = [];
+    const error = (message) => problems.push({ level: 'error', message });
+    const warning = (message) => problems.push({ level: 'warning', message });
+
+    if (!options.appDir.startsWith('/')) {
+        error('App directory must be absolute; the script and the systemd unit must agree on it.');
+    }
+    if (!/^[\w.@:-]+$/.test(options.serviceName)) {
+        error(`"${options.serviceName}" is not a valid systemd unit name.`);
+    } else if (options.serviceName.includes('@') && !options.serviceName.endsWith(`@${options.user}`)) {
+        warning(`The service runs as "${options.serviceName.split('@')[1]}" but the releases belong to "${options.user}"; it may not be able to read them.`);
+    }
+    if (options.repoUrl.trim() === '') {
+        error('Repository URL is required.');
+    } else if (/your-org\/your-repo/.test(options.repoUrl)) {
+        warning('Replace the example repository URL with your own.');
+    }
+    if (!/^[\w./-]+$/.test(options.branch)) {
+        error('Branch or tag may only contain letters, digits, ".", "_", "-" and "/".');
+    }
+    if (!/^\d+$/.test(options.port) || Number(options.port) < 1 || Number(options.port) > 65535) {
+        error('Port must be a number between 1 and 65535.');
+    }
+    if (!options.healthPath.startsWith('/')) {
+        error('Health check path must start with "/".');
+    }
+    if (!/^\d+$/.test(options.healthTimeout) || Number(options.healthTimeout) < 5) {
+        error('Health check timeout must be at least 5 seconds.');
+    }
+    if (!/^\d+$/.test(options.keepReleases) || Number(options.keepReleases) < 2) {
+        error('Keep at least 2 releases, or there is nothing to roll back to.');
+    }
+    return problems;
+};
+
+// The release.sh text
+export const generateReleaseScript = (options) => {
+    const appDir = stripTrailingSlash(options.appDir);
+    const healthUrl = `http://127.0.0.1:${options.port}${options.healthPath}`;
+    const lines = [
+        '#!/usr/bin/env bash',
+        '# release.sh - generated by the FastAPI + Uvicorn on AWS EC2 Deployment Checklist',
+        `# Deploys a new release of ${options.repoUrl} to ${appDir}/releases, switches`,
+        `# ${appDir}/current to it, restarts ${options.serviceName} and checks ${healthUrl}.`,
+        '# If the app does not come up healthy, the previous release is restored.',
+        `# Run on the EC2 instance as ${options.user}: ./release.sh [branch-or-tag]`,
+        'set -euo pipefail',
+        '',
+        `APP_DIR=${shellQuote(appDir)}`,
+        `REPO_URL=${shellQuote(options.repoUrl)}`,
+        `REF="\${1:-${options.branch}}"`,
+        `SERVICE=${shellQuote(options.serviceName)}`,
+        `PYTHON=${shellQuote(options.python)}`,
+        `HEALTH_URL=${shellQuote(healthUrl)}`,
+        `HEALTH_TIMEOUT=${options.healthTimeout}`,
+        `KEEP_RELEASES=${options.keepReleases}`,
+        '',
+        'RELEASES_DIR="$APP_DIR/releases"',
+        'RELEASE="$RELEASES_DIR/$(date +%Y%m%d%H%M%S)"',
+        'CURRENT="$APP_DIR/current"',
+        'PREVIOUS=""',
+        'if [ -L "$CURRENT" ]; then PREVIOUS="$(readlink -f "$CURRENT")"; fi',
+        '',
+        'log() { printf \'==> %s\\n\' "$*"; }',
+        '',
+        'if [ -e "$RELEASE" ]; then',
+        '    log "$RELEASE already exists; wait a second and run again"',
+        '    exit 1',
+        'fi',
+        '',
+        '# Point current at a release; the rename makes the switch atomic',
+        'switch_to() {',
+        '    ln -sfn "$1" "$CURRENT.next"',
+        '    mv -Tf "$CURRENT.next" "$CURRENT"',
+        '}',
+        '',
+        '# Wait for the health check to return 200 (the check from step 10.1)',
+        'healthy() {',
+        '    local deadline=$((SECONDS + HEALTH_TIMEOUT))',
+        '    while [ "$SECONDS" -lt "$deadline" ]; do',
+        '        if [ "$(curl -s -o /dev/null -w \'%{http_code}\' "$HEALTH_URL")" = "200" ]; then',
+        '            return 0',
+        '        fi',
+        '        sleep 2',
+        '    done',
+        '    return 1',
+        '}',
+        '',
+        '# A release that fails before going live is removed again',
+        'discard_release() {',
+        '    log "Release failed before going live; removing $RELEASE"',
+        '    rm -rf "$RELEASE"',
+        '}',
+        'trap discard_release ERR',
+        '',
+        '# Put the previous release back after a failed restart or health check, then fail',
+        'roll_back() {',
+        '    if [ -z "$PREVIOUS" ]; then',
+        '        log "No previous release to roll back to; check: journalctl -u $SERVICE -n 50"',
+        '        exit 1',
+        '    fi',
+        '    log "Rolling back to $(basename "$PREVIOUS")"',
+        '    switch_to "$PREVIOUS"',
+        '    if ! sudo systemctl restart "$SERVICE"; then',
+        '        log "Restarting $SERVICE on the previous release failed too; check: journalctl -u $SERVICE -n 50"',
+        '    elif healthy; then',
+        '        log "Rolled back; the failed release is kept in $RELEASE for inspection"',
+        '    else',
+        '        log "The previous release is not healthy either; check: journalctl -u $SERVICE -n 50"',
+        '    fi',
+        '    exit 1',
+        '}',
+        '',
+        'log "Checking out $REF into $RELEASE"',
+        'mkdir -p "$RELEASES_DIR" "$APP_DIR/shared"',
+        'git clone --quiet --depth 1 --branch "$REF" "$REPO_URL" "$RELEASE"',
+        '',
+        'log "Installing dependencies"',
+        '"$PYTHON" -m venv "$RELEASE/.venv"',
+        '"$RELEASE/.venv/bin/pip" install --quiet --upgrade pip',
+        '"$RELEASE/.venv/bin/pip" install --quiet -r "$RELEASE/requirements.txt"',
+        '',
+        '# Configuration shared by all releases (e.g. .env) lives in shared/',
+        'for shared in "$APP_DIR"/shared/.[!.]* "$APP_DIR"/shared/*; do',
+        '    if [ -e "$shared" ]; then ln -sfn "$shared" "$RELEASE/$(basename "$shared")"; fi',
+        'done',
+        'trap - ERR',
+        '',
+        'log "Switching current to $(basename "$RELEASE")"',
+        'switch_to "$RELEASE"',
+        'log "Restarting $SERVICE"',
+        'if ! sudo systemctl restart "$SERVICE"; then',
+        '    log "systemctl restart $SERVICE failed"',
+        '    roll_back',
+        'fi',
+        'if ! healthy; then',
+        '    log "$HEALTH_URL did not return 200 within ${HEALTH_TIMEOUT}s"',
+        '    roll_back',
+        'fi',
+        '',
+        'log "Release $(basename "$RELEASE") is live"',
+        '',
+        '# Keep the newest releases; names are timestamps, so they sort by age',
+        'find "$RELEASES_DIR" -mindepth 1 -maxdepth 1 -type d | sort -r | tail -n +$((KEEP_RELEASES + 1)) | while read -r old; do',
+        '    [ "$old" = "$(readlink -f "$CURRENT")" ] || rm -rf "$old"',
+        'done',
+        '',
+    ];
+    return lines.join('\n');
+};
+
+// The script plus the one-time commands (shown only by the step 6.4 tool) that move an app
+// checked out in place to the releases layout and point the service at 'current'.
+export const generateReleaseFiles = (options) => {
+    const appDir = stripTrailingSlash(options.appDir);
+    const template = options.serviceName.includes('@');
+    // Instances like fastapi@ec2-user are configured in the fastapi@.service template, which
+    // spells the user's home as /home/%i (see step 6.3)
+    const unitFile = template
+        ? `${options.serviceName.split('@')[0]}@.service`
+        : `${options.serviceName.replace(/\.service$/, '')}.service`;
+    const home = `/home/${options.serviceName.split('@')[1]}`;
+    const unitAppDir = template && appDir.startsWith(`${home}/`) ? `/home/%i${appDir.slice(home.length)}` : appDir;
+    const pointAtCurrent = [
+        `s#${sedPattern(unitAppDir)}/\\.venv#${sedReplacement(unitAppDir)}/current/.venv#g`,
+        `s#^WorkingDirectory=${sedPattern(unitAppDir)}$#WorkingDirectory=${sedReplacement(unitAppDir)}/current#`,
+    ].join('; ');
+    return {
+        problems: validateReleaseOptions(options),
+        script: generateReleaseScript(options),
+        setupCommands: [
+            `mkdir -p ${shellQuote(`${appDir}/releases`)} ${shellQuote(`${appDir}/shared`)}`,
+            '# Keep secrets where every release finds them',
+            `[ ! -f ${shellQuote(`${appDir}/.env`)} ] || mv ${shellQuote(`${appDir}/.env`)} ${shellQuote(`${appDir}/shared/.env`)}`,
+            `# Run the service from the current release: WorkingDirectory, PATH and ExecStart move to ${appDir}/current`,
+            `sudo sed -i ${shellQuote(pointAtCurrent)} /etc/systemd/system/${unitFile}`,
+            'sudo systemctl daemon-reload',
+            `chmod +x release.sh && ./release.sh ${options.branch}`,
+        ],
+    };
+};
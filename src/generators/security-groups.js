@@ -0,0 +1,164 @@
+// Security group rule planner used by step 2.2. Inbound rules are modelled for the three
+// phases the checklist walks through, and each phase transition becomes AWS CLI commands.
+
+export const ANYWHERE_V4 = '0.0.0.0/0';
+export const ANYWHERE_V6 = '::/0';
+
+// localStorage key under which the planner's rules are persisted (also read by the IaC export)
+export const SECURITY_GROUP_STORAGE_KEY = 'securityGroupPlan';
+
+// 'My IP' placeholder used until the user enters their own address (TEST-NET-3, never routable)
+export const MY_IP_PLACEHOLDER = '203.0.113.10/32';
+
+export const PHASES = [
+    { id: 'initial', label: 'Initial (step 2.2)', description: 'SSH, HTTP/S and temporary direct access to Uvicorn for testing.' },
+    { id: 'afterNginx', label: 'After Nginx (step 9.3)', description: 'Nginx proxies to the app, so port 8000 no longer needs to be public.' },
+    { id: 'hardened', label: 'Hardened (step 9.1)', description: 'SSH restricted to your own IP.' },
+];
+
+export const DEFAULT_SECURITY_GROUP_PLAN = {
+    groupId: 'sg-0123456789abcdef0',
+    region: '',
+    myIp: MY_IP_PLACEHOLDER,
+    phases: {
+        initial: [
+            { port: '22', cidr: ANYWHERE_V4, description: 'SSH' },
+            { port: '80', cidr: ANYWHERE_V4, description: 'HTTP' },
+            { port: '443', cidr: ANYWHERE_V4, description: 'HTTPS' },
+            { port: '8000', cidr: ANYWHERE_V4, description: 'Uvicorn (temporary)' },
+        ],
+        afterNginx: [
+            { port: '22', cidr: ANYWHERE_V4, description: 'SSH' },
+            { port: '80', cidr: ANYWHERE_V4, description: 'HTTP' },
+            { port: '443', cidr: ANYWHERE_V4, description: 'HTTPS' },
+        ],
+        hardened: [
+            { port: '22', cidr: 'MY_IP', description: 'SSH from my IP' },
+            { port: '80', cidr: ANYWHERE_V4, description: 'HTTP' },
+            { port: '443', cidr: ANYWHERE_V4, description: 'HTTPS' },
+        ],
+    },
+};
+
+// Read the stored plan, falling back to the default phases.
+export const loadSecurityGroupPlan = () => {
+    try {
+        const stored = JSON.parse(localStorage.getItem(SECURITY_GROUP_STORAGE_KEY));
+        if (stored && typeof stored === 'object' && stored.phases) {
+            return { ...DEFAULT_SECURITY_GROUP_PLAN, ...stored, phases: { ...DEFAULT_SECURITY_GROUP_PLAN.phases, ...stored.phases } };
+        }
+    } catch (err) {
+        console.error('Failed to read security group plan: ', err);
+    }
+    return DEFAULT_SECURITY_GROUP_PLAN;
+};
+
+// Persist the plan to localStorage.
+export const saveSecurityGroupPlan = (plan) => {
+    localStorage.setItem(SECURITY_GROUP_STORAGE_KEY, JSON.stringify(plan));
+};
+
+// Parse "22" or "1024-2048" into { from, to }; returns null if invalid
+export const parsePortRange = (port) => {
+    const match = String(port).trim().match(/^(\d+)(?:\s*-\s*(\d+))?$/);
+    if (!match) return null;
+    const from = Number(match[1]);
+    const to = match[2] ? Number(match[2]) : from;
+    if (from < 0 || to > 65535 || from > to) return null;
+    return { from, to };
+};
+
+const isPublic = (cidr) => cidr === ANYWHERE_V4 || cidr === ANYWHERE_V6;
+
+const coversPort = (rule, port) => {
+    const range = parsePortRange(rule.port);
+    return range !== null && range.from <= port && port <= range.to;
+};
+
+const isValidCidr = (cidr) => (
+    /^(\d{1,3}\.){3}\d{1,3}\/\d{1,2}$/.test(cidr) || /^[0-9a-fA-F:]+\/\d{1,3}$/.test(cidr)
+);
+
+// Replace the 'MY_IP' token with the planner's My IP value
+export const resolveRules = (rules, myIp) => rules.map(rule => ({ ...rule, cidr: rule.cidr === 'MY_IP' ? myIp : rule.cidr.trim() }));
+
+// Port the app server listens on when the profile doesn't set one
+const DEFAULT_APP_PORT = '8000';
+
+// Problems in one phase; each is { level: 'error' | 'warning', message }. 'appPort' is the
+// port Uvicorn/Gunicorn listens on (default 8000), which must not stay public behind Nginx.
+export const validatePhase = (phaseId, rules, myIp, appPort) => {
+    const port = Number(String(appPort || DEFAULT_APP_PORT).trim() || DEFAULT_APP_PORT);
+    const problems = [];
+    resolveRules(rules, myIp).forEach((rule) => {
+        if (!parsePortRange(rule.port)) {
+            problems.push({ level: 'error', message: `"${rule.port}" is not a port or port range.` });
+            return;
+        }
+        if (!isValidCidr(rule.cidr)) {
+            problems.push({ level: 'error', message: `"${rule.cidr}" is not a CIDR block (e.g. 203.0.113.10/32).` });
+            return;
+        }
+        if (coversPort(rule, 22) && isPublic(rule.cidr)) {
+            problems.push({
+                level: phaseId === 'hardened' ? 'error' : 'warning',
+                message: `SSH (22) is open to ${rule.cidr}; anyone can attempt to brute-force it. Restrict it to your IP.`,
+            });
+        }
+        if (coversPort(rule, port) && isPublic(rule.cidr) && phaseId !== 'initial') {
+            problems.push({ level: 'error', message: `Port ${port} is still open to ${rule.cidr} after Nginx is configured; clients can bypass Nginx and TLS.` });
+        }
+    });
+    if (rules.some(rule => rule.cidr === 'MY_IP') && myIp === MY_IP_PLACEHOLDER) {
+        problems.push({ level: 'warning', message: `Enter your public IP in "My IP"; ${MY_IP_PLACEHOLDER} is a documentation placeholder.` });
+    }
+    return problems;
+};
+
+const ruleKey = (rule) => `tcp:${rule.port}:${rule.cidr}`;
+
+// The --ip-permissions JSON for one rule
+const ipPermissions = (rule, withDescription) => {
+    const { from, to } = parsePortRange(rule.port);
+    const range = rule.cidr.includes(':')
+        ? { Ipv6Ranges: [{ CidrIpv6: rule.cidr, ...(withDescription && rule.description ? { Description: rule.description } : {}) }] }
+        : { IpRanges: [{ CidrIp: rule.cidr, ...(withDescription && rule.description ? { Description: rule.description } : {}) }] };
+    return JSON.stringify([{ IpProtocol: 'tcp', FromPort: from, ToPort: to, ...range }]);
+};
+
+const cliCommand = (action, plan, rule) => [
+    `aws ec2 ${action}-security-group-ingress`,
+    `--group-id ${plan.groupId}`,
+    ...(plan.region ? [`--region ${plan.region}`] : []),
+    `--ip-permissions '${ipPermissions(rule, action === 'authorize').replace(/'/g, `'\\''`)}'`,
+].join(' ');
+
+// Commands taking the group from the previous phase's rules to this phase's rules.
+// For the first phase everything is authorized from an empty group.
+export const transitionCommands = (plan, fromRules, toRules) => {
+    const valid = (rule) => parsePortRange(rule.port) && isValidCidr(rule.cidr);
+    const from = resolveRules(fromRules, plan.myIp).filter(valid);
+    const to = resolveRules(toRules, plan.myIp).filter(valid);
+    const fromKeys = new Set(from.map(ruleKey));
+    const toKeys = new Set(to.map(ruleKey));
+    // Authorize first so tightening SSH never locks you out between the two commands
+    return [
+        ...to.filter(rule => !fromKeys.has(ruleKey(rule))).map(rule => cliCommand('authorize', plan, rule)),
+        ...from.filter(rule => !toKeys.has(ruleKey(rule))).map(rule => cliCommand('revoke', plan, rule)),
+    ];
+};
+
+// The valid rules of the last (hardened) phase, with My IP resolved; used by the IaC export
+export const finalRules = (plan) => resolveRules(plan.phases[PHASES[PHASES.length - 1].id], plan.myIp)
+    .filter(rule => parsePortRange(rule.port) && isValidCidr(rule.cidr));
+
+// All phases with their problems and transition commands. 'appPort' as for validatePhase.
+export const planSecurityGroups = (plan, appPort) => PHASES.map((phase, index) => {
+    const previous = index === 0 ? [] : plan.phases[PHASES[index - 1].id];
+    return {
+        ...phase,
+        rules: plan.phases[phase.id],
+        problems: validatePhase(phase.id, plan.phases[phase.id], plan.myIp, appPort),
+        commands: transitionCommands(plan, previous, plan.phases[phase.id]),
+    };
+});
@@ -0,0 +1,274 @@
+// Generates verify.sh from the section 10 test-checklist blocks: each curl, 'nginx -t',
+// 'systemctl status' and 'supervisorctl status' command becomes a check with an expected result, printed as a PASS/FAIL
+// table and optionally written to a JSON report. parseVerifyReport reads that report back so
+// the app can mark the verified steps complete.
+
+import { applyProfile } from '../profile.js';
+import { resolveOsUser } from '../platforms.js';
+import { parseCommands } from './commands.js';
+import { shellQuote } from './deploy-script.js';
+
+// Main section whose command blocks are turned into checks
+export const VERIFY_SECTION_ID = 'test-checklist';
+
+// Report format version, checked when a report is pasted back
+const REPORT_VERSION = 2;
+
+const REDIRECT_CODES = ['301', '302', '307', '308'];
+
+// The check for one command line, or null if it isn't something verify.sh can judge
+// (e.g. 'journalctl -f', which never returns). 'comment' is the '#' line above it.
+const checkForCommand = (command, comment) => {
+    const curl = command.match(/^curl\b.*%\{http_code\}.*?(https?:\/\/\S+?)["']?$/);
+    if (curl) {
+        const codes = /redirect/i.test(comment) ? ['200', ...REDIRECT_CODES] : ['200'];
+        return { kind: 'http', label: `curl ${curl[1]}`, url: curl[1], codes };
+    }
+    if (/^(?:sudo\s+)?nginx\s+-t$/.test(command)) {
+        return { kind: 'output', label: command, command: `${command} 2>&1`, pattern: 'syntax is ok' };
+    }
+    const status = command.match(/^(?:sudo\s+)?systemctl\s+status\s+(\S+)$/);
+    if (status) {
+        return { kind: 'active', label: `systemctl is-active ${status[1]}`, unit: status[1] };
+    }
+    const supervisor = command.match(/^(?:sudo\s+)?supervisorctl\s+status\s+(\S+)$/);
+    if (supervisor) {
+        return { kind: 'running', label: `supervisorctl status ${supervisor[1]}`, program: supervisor[1] };
+    }
+    return null;
+};
+
+// One check that passes when either process manager runs the app. Used when the setup
+// questionnaire wasn't answered, so the blocks for both managers are still in the content.
+const eitherManagerCheck = (step, active, running) => ({
+    kind: 'app',
+    label: `${active.label} or ${running.label}`,
+    unit: active.unit,
+    program: running.program,
+    id: `${step.id}/check-process-manager`,
+    step: step.id,
+    block: step.id,
+});
+
+// Checks for the test-checklist blocks in 'content' (already filtered for the target OS and
+// setup), with the profile substituted. Each check knows the step and block it verifies.
+export const verifyChecks = (content, profile) => {
+    const checks = [];
+    const mainSection = content.find(section => section.id === VERIFY_SECTION_ID);
+    if (!mainSection) return checks;
+    mainSection.sections.forEach((step) => {
+        const stepChecks = [];
+        step.contentBlocks.filter(block => block.type === 'command').forEach((block) => {
+            let comment = '';
+            let index = 0;
+            parseCommands(block.commands.map(cmd => applyProfile(cmd, profile))).forEach((item) => {
+                if (item.kind === 'comment') comment = item.text;
+                if (item.kind !== 'shell') return;
+                const check = checkForCommand(item.text, comment);
+                if (check) {
+                    index += 1;
+                    const manager = block.when && block.when.processManager;
+                    stepChecks.push({ ...check, id: `${block.key}/check-${index}`, step: step.id, block: block.key, manager });
+                }
+            });
+        });
+        // Only one process manager runs the app, so its systemd and Supervisord checks can't both pass
+        const active = stepChecks.find(check => check.manager === 'systemd' && check.kind === 'active');
+        const running = stepChecks.find(check => check.manager === 'supervisord' && check.kind === 'running');
+        stepChecks.forEach(({ manager, ...check }) => {
+            if (!active || !running || !manager) {
+                checks.push(check);
+            } else if (check.id === active.id) {
+                checks.push(eitherManagerCheck(step, active, running));
+            }
+        });
+    });
+    return checks;
+};
+
+// Script lines running one check
+const checkLines = (check) => {
+    const ids = [check.id, check.step, check.block, check.label].map(shellQuote).join(' ');
+    if (check.kind === 'http') {
+        return [`check_http ${ids} ${shellQuote(check.url)} ${check.codes.join(' ')}`];
+    }
+    if (check.kind === 'output') {
+        return [
+            `output="$(${check.command})"`,
+            `check_output ${ids} ${shellQuote(check.pattern)} "$output"`,
+        ];
+    }
+    if (check.kind === 'running') {
+        return [`check_running ${ids} ${shellQuote(check.program)}`];
+    }
+    if (check.kind === 'app') {
+        return [`check_app ${ids} ${shellQuote(check.unit)} ${shellQuote(check.program)}`];
+    }
+    return [`check_active ${ids} ${shellQuote(check.unit)}`];
+};
+
+// Build the verify.sh text. 'content' must already be filtered for the target OS and setup.
+// Without an OS user in the profile, the target distro's default login user is checked.
+export const generateVerifyScript = (content, { profile, targetOs }) => {
+    const checks = verifyChecks(content, { ...profile, osUser: resolveOsUser(profile, targetOs) });
+    const lines = [
+        '#!/usr/bin/env bash',
+        '# verify.sh - generated by the FastAPI + Uvicorn on AWS EC2 Deployment Checklist',
+        '# Runs the checks from section 10 on the EC2 instance and prints a PASS/FAIL table.',
+        '# Exits with status 1 if any check fails.',
+        '# Usage: bash verify.sh [--json [report.json]]',
+        '#   --json writes a report (default verify-report.json) you can paste into the checklist',
+        '#   to mark the verified steps complete.',
+        'set -uo pipefail',
+        '',
+        'JSON_REPORT=""',
+        'if [ "${1:-}" = "--json" ]; then JSON_REPORT="${2:-verify-report.json}"; fi',
+        '',
+        'if [ -t 1 ]; then',
+        '    GREEN=$\'\\033[32m\'; RED=$\'\\033[31m\'; BOLD=$\'\\033[1m\'; RESET=$\'\\033[0m\'',
+        'else',
+        '    GREEN=""; RED=""; BOLD=""; RESET=""',
+        'fi',
+        '',
+        'PASSED=0',
+        'FAILED=0',
+        'ENTRIES=()',
+        '',
+        'json_string() {',
+        '    local text="${1//\\\\/\\\\\\\\}"',
+        '    text="${text//\\"/\\\\\\"}"',
+        '    text="${text//$\'\\n\'/ }"',
+        '    printf \'"%s"\' "${text//$\'\\t\'/ }"',
+        '}',
+        '',
+        '# record <id> <step> <block> <label> <expected> <actual> <pass|fail>',
+        'record() {',
+        '    if [ "$7" = "pass" ]; then',
+        '        PASSED=$((PASSED + 1))',
+        '        printf \'%s%-6s%s %-60s %-22s %s\\n\' "$GREEN" PASS "$RESET" "$4" "$5" "$6"',
+        '    else',
+        '        FAILED=$((FAILED + 1))',
+        '        printf \'%s%-6s%s %-60s %-22s %s\\n\' "$RED" FAIL "$RESET" "$4" "$5" "$6"',
+        '    fi',
+        '    ENTRIES+=("{\\"id\\": $(json_string "$1"), \\"step\\": $(json_string "$2"), \\"block\\": $(json_string "$3"), \\"label\\": $(json_string "$4"), \\"expected\\": $(json_string "$5"), \\"actual\\": $(json_string "$6"), \\"status\\": \\"$7\\"}")',
+        '}',
+        '',
+        '# check_http <id> <step> <block> <label> <url> <accepted status codes...>',
+        'check_http() {',
+        '    local code status=fail accepted',
+        '    code="$(curl -s -o /dev/null -w \'%{http_code}\' --max-time 10 "$5")"',
+        '    for accepted in "${@:6}"; do',
+        '        if [ "$code" = "$accepted" ]; then status=pass; fi',
+        '    done',
+        '    local expected="HTTP $6"',
+        '    if [ "$#" -gt 6 ]; then expected="HTTP $6 or redirect"; fi',
+        '    record "$1" "$2" "$3" "$4" "$expected" "HTTP $code" "$status"',
+        '}',
+        '',
+        '# check_output <id> <step> <block> <label> <expected text> <output>',
+        'check_output() {',
+        '    if grep -qF -- "$5" <<<"$6"; then',
+        '        record "$1" "$2" "$3" "$4" "$5" "$5" pass',
+        '    else',
+        '        record "$1" "$2" "$3" "$4" "$5" "$(tail -n 1 <<<"$6")" fail',
+        '    fi',
+        '}',
+        '',
+        '# check_active <id> <step> <block> <label> <unit>',
+        'check_active() {',
+        '    local state',
+        '    state="$(systemctl is-active "$5" 2>/dev/null)"',
+        '    record "$1" "$2" "$3" "$4" active "${state:-unknown}" "$([ "$state" = active ] && echo pass || echo fail)"',
+        '}',
+        '',
+        '# check_running <id> <step> <block> <label> <supervisord program>',
+        'check_running() {',
+        '    local state',
+        '    state="$(sudo supervisorctl status "$5" 2>/dev/null | awk \'{ print $2 }\')"',
+        '    record "$1" "$2" "$3" "$4" RUNNING "${state:-unknown}" "$([ "$state" = RUNNING ] && echo pass || echo fail)"',
+        '}',
+        '',
+        '# check_app <id> <step> <block> <label> <systemd unit> <supervisord program>',
+        'check_app() {',
+        '    local active running',
+        '    active="$(systemctl is-active "$5" 2>/dev/null)"',
+        '    running="$(sudo supervisorctl status "$6" 2>/dev/null | awk \'{ print $2 }\')"',
+        '    if [ "$active" = active ] || [ "$running" = RUNNING ]; then',
+        '        record "$1" "$2" "$3" "$4" "active or RUNNING" "${active:-unknown}/${running:-unknown}" pass',
+        '    else',
+        '        record "$1" "$2" "$3" "$4" "active or RUNNING" "${active:-unknown}/${running:-unknown}" fail',
+        '    fi',
+        '}',
+        '',
+        'printf \'%s%-6s %-60s %-22s %s%s\\n\' "$BOLD" RESULT CHECK EXPECTED ACTUAL "$RESET"',
+    ];
+
+    checks.forEach((check) => {
+        lines.push(...checkLines(check));
+    });
+    if (checks.length === 0) {
+        lines.push('echo "No checks: section 10 has no commands for your setup."');
+    }
+
+    lines.push(
+        '',
+        'echo',
+        'echo "${BOLD}${PASSED} passed, ${FAILED} failed${RESET}"',
+        '',
+        'if [ -n "$JSON_REPORT" ]; then',
+        '    {',
+        `        printf '{\\n  "version": ${REPORT_VERSION},\\n  "host": %s,\\n  "finishedAt": %s,\\n  "passed": %d,\\n  "failed": %d,\\n  "checks": [\\n' "$(json_string "$(hostname)")" "$(json_string "$(date -u +%Y-%m-%dT%H:%M:%SZ)")" "$PASSED" "$FAILED"`,
+        '        for i in "${!ENTRIES[@]}"; do',
+        '            printf \'    %s%s\\n\' "${ENTRIES[$i]}" "$([ "$i" -lt $((${#ENTRIES[@]} - 1)) ] && echo ,)"',
+        '        done',
+        '        printf \'  ]\\n}\\n\'',
+        '    } >"$JSON_REPORT"',
+        '    echo "Report written to $JSON_REPORT"',
+        'fi',
+        '',
+        '[ "$FAILED" -eq 0 ]',
+        '',
+    );
+    return lines.join('\n');
+};
+
+// Parse a pasted verify.sh JSON report. Returns { checks, passed, failed, host } or throws an
+// Error explaining what is wrong with the text.
+export const parseVerifyReport = (text) => {
+    let report;
+    try {
+        report = JSON.parse(text);
+    } catch (err) {
+        throw new Error(`Not valid JSON: ${err.message}`);
+    }
+    if (!report || typeof report !== 'object' || !Array.isArray(report.checks)) {
+        throw new Error('This is not a verify.sh report; it has no "checks" list.');
+    }
+    if (report.version !== REPORT_VERSION) {
+        throw new Error(`Unsupported report version ${JSON.stringify(report.version)}; generate verify.sh again.`);
+    }
+    const checks = report.checks.filter(check => check
+        && typeof check.step === 'string'
+        && typeof check.block === 'string'
+        && (check.status === 'pass' || check.status === 'fail'));
+    if (checks.length !== report.checks.length) {
+        throw new Error('Some checks in the report are missing "step", "block" or "status".');
+    }
+    return {
+        checks,
+        passed: checks.filter(check => check.status === 'pass').length,
+        failed: checks.filter(check => check.status === 'fail').length,
+        host: typeof report.host === 'string' ? report.host : '',
+    };
+};
+
+// Progress keys verified by a report: command blocks and steps all of whose checks passed
+export const verifiedKeys = (checks) => {
+    const groups = {};
+    checks.forEach((check) => {
+        [check.block, check.step].forEach((key) => {
+            groups[key] = groups[key] !== false && check.status === 'pass';
+        });
+    });
+    return Object.keys(groups).filter(key => groups[key]);
+};
@@ -0,0 +1,303 @@
+// Linter for pasted Nginx configuration, checking a reverse proxy in front of Uvicorn
+// against what step 6.1 sets up. Accepts a single site file or the whole `sudo nginx -T`
+// dump, whose '# configuration file <path>:' headers are used to name the file of a finding.
+//
+// Findings are { level: 'error' | 'warning', message, line?, file?, ref? } where 'ref' is the
+// id of the checklist pitfall or step that explains the problem.
+
+const DEFAULT_ROOTS = ['/var/www/html', '/usr/share/nginx/html'];
+const LOOPBACK_HOSTS = ['127.0.0.1', '[::1]', '::1'];
+
+// Split config text into word, '{', '}' and ';' tokens with their line numbers.
+// Comments are dropped except 'nginx -T' file headers, which become 'file' tokens.
+const tokenize = (text) => {
+    const tokens = [];
+    let line = 1;
+    let i = 0;
+    while (i < text.length) {
+        const ch = text[i];
+        if (ch === '\n') {
+            line += 1;
+            i += 1;
+        } else if (/\s/.test(ch)) {
+            i += 1;
+        } else if (ch === '#') {
+            const end = text.indexOf('\n', i) === -1 ? text.length : text.indexOf('\n', i);
+            const header = text.slice(i, end).match(/^#\s*configuration file (.+?):\s*$/);
+            if (header) tokens.push({ type: 'file', value: header[1], line });
+            i = end;
+        } else if (ch === '{' || ch === '}' || ch === ';') {
+            tokens.push({ type: ch, line });
+            i += 1;
+        } else if (ch === '"' || ch === "'") {
+            const start = line;
+            let value = '';
+            let j = i + 1;
+            while (j < text.length && text[j] !== ch) {
+                if (text[j] === '\\' && j + 1 < text.length) {
+                    value += text[j + 1];
+                    j += 2;
+                } else {
+                    if (text[j] === '\n') line += 1;
+                    value += text[j];
+                    j += 1;
+                }
+            }
+            tokens.push({ type: 'word', value, line: start });
+            i = j + 1;
+        } else {
+            let j = i;
+            while (j < text.length && !/[\s{};]/.test(text[j])) j += 1;
+            tokens.push({ type: 'word', value: text.slice(i, j), line });
+            i = j;
+        }
+    }
+    return tokens;
+};
+
+// Parse config text into a tree of { name, args, line, file, children? } nodes
+// ('children' only on blocks). Returns { root, errors } with syntax errors as findings.
+export const parseNginxConfig = (text) => {
+    const root = { name: 'main', args: [], line: 0, file: null, children: [] };
+    const stack = [root];
+    const errors = [];
+    let words = [];
+    let file = null;
+
+    tokenize(text).forEach((token) => {
+        const parent = stack[stack.length - 1];
+        if (token.type === 'file') {
+            file = token.value;
+        } else if (token.type === 'word') {
+            words.push(token);
+        } else if (token.type === ';') {
+            if (words.length > 0) {
+                parent.children.push({ name: words[0].value, args: words.slice(1).map(word => word.value), line: words[0].line, file });
+            }
+            words = [];
+        } else if (token.type === '{') {
+            const node = {
+                name: words.length > 0 ? words[0].value : '',
+                args: words.slice(1).map(word => word.value),
+                line: words.length > 0 ? words[0].line : token.line,
+                file,
+                children: [],
+            };
+            parent.children.push(node);
+            stack.push(node);
+            words = [];
+        } else if (token.type === '}') {
+            if (words.length > 0) {
+                errors.push({ level: 'error', message: `"${words[0].value}" is missing its closing ";".`, line: words[0].line, file });
+                words = [];
+            }
+            if (stack.length > 1) {
+                stack.pop();
+            } else {
+                errors.push({ level: 'error', message: 'Unexpected "}" with no block to close.', line: token.line, file });
+            }
+        }
+    });
+    if (words.length > 0) {
+        errors.push({ level: 'error', message: `"${words[0].value}" is missing its closing ";".`, line: words[0].line, file });
+    }
+    stack.slice(1).forEach((node) => {
+        errors.push({ level: 'error', message: `"${node.name}" block is never closed with "}".`, line: node.line, file: node.file });
+    });
+    return { root, errors };
+};
+
+const directives = (node, name) => (node.children || []).filter(child => child.name === name && !child.children);
+
+// Directives named 'name' in effect for the innermost node of 'chain' (innermost first).
+// Like Nginx, a level that sets the directive at all replaces everything inherited.
+const effective = (chain, name) => {
+    for (const node of chain) {
+        const found = directives(node, name);
+        if (found.length > 0) return found;
+    }
+    return [];
+};
+
+// Every block named 'name' in the tree, with its ancestors (innermost first)
+const findBlocks = (node, name, ancestors = []) => (node.children || [])
+    .filter(child => child.children)
+    .flatMap(child => [
+        ...(child.name === name ? [{ node: child, ancestors }] : []),
+        ...findBlocks(child, name, [child, ...ancestors]),
+    ]);
+
+// Parse a 'listen' directive into { address, port, ssl, defaultServer }
+const parseListen = (directive) => {
+    const [target = ''] = directive.args;
+    let address = target;
+    if (/^\d+$/.test(target)) {
+        address = `*:${target}`;
+    } else if (/^[\d.]+$/.test(target) || target === 'localhost') {
+        address = `${target}:80`;
+    }
+    address = address.replace(/^0\.0\.0\.0:/, '*:');
+    const port = (address.match(/:(\d+)$/) || [])[1] || '80';
+    return {
+        address,
+        port,
+        ssl: directive.args.includes('ssl'),
+        defaultServer: directive.args.includes('default_server') || directive.args.includes('default'),
+    };
+};
+
+// Split a proxy_pass URL into { scheme, host, port } (port null when omitted). A Unix socket
+// (http://unix:/run/app.sock or http://unix:/run/app.sock:/uri) keeps 'unix:/path' as its host.
+const parseProxyPass = (url) => {
+    const socket = url.match(/^(https?):\/\/(unix:[^:]+)/);
+    if (socket) return { scheme: socket[1], host: socket[2], port: null };
+    const match = url.match(/^(https?):\/\/(\[[^\]]+\]|[^:/]+)(?::(\d+))?/);
+    return match ? { scheme: match[1], host: match[2], port: match[3] || null } : null;
+};
+
+// Check one 'host[:port]' or 'unix:/path' destination of a proxy_pass
+const checkDestination = (destination, directive, expectedPort, finding) => {
+    if (destination.startsWith('unix:')) return;
+    const [, host, port] = destination.match(/^(\[[^\]]+\]|[^:]+)(?::(\d+))?$/) || [null, destination, null];
+    if (host === '0.0.0.0') {
+        finding('error', `proxy_pass points at 0.0.0.0, which is a listen address, not a destination. Use 127.0.0.1:${expectedPort}.`, directive, 'nginx-502-bad-gateway');
+        return;
+    }
+    if (host === 'localhost') {
+        finding('warning', `proxy_pass uses "localhost", which can resolve to ::1 first; Uvicorn listening on 127.0.0.1 then refuses the connection. Use 127.0.0.1:${expectedPort}.`, directive, 'nginx-502-bad-gateway');
+    } else if (!LOOPBACK_HOSTS.includes(host) && !host.startsWith('127.')) {
+        finding('warning', `proxy_pass sends requests to ${host} over the network. If the app runs on this instance, proxy to 127.0.0.1 so port ${expectedPort} can stay closed.`, directive, 'port-8000-still-open');
+    }
+    if (port !== expectedPort) {
+        finding('error', `proxy_pass goes to port ${port || '80 (the default)'}, but the app listens on ${expectedPort}; Nginx will answer 502 Bad Gateway.`, directive, 'nginx-502-bad-gateway');
+    }
+};
+
+// Lint config text. 'options.port' is the port Uvicorn/Gunicorn listens on (default 8000) and
+// 'options.domain' the site's domain, if known. Returns findings sorted by line.
+export const lintNginxConfig = (text, { port, domain } = {}) => {
+    const expectedPort = String(port || '8000').trim() || '8000';
+    const { root, errors } = parseNginxConfig(text);
+    const findings = [...errors];
+    const finding = (level, message, node, ref) => findings.push({ level, message, line: node.line, file: node.file, ...(ref ? { ref } : {}) });
+
+    // upstream name -> the addresses of its 'server' entries
+    const upstreams = new Map(findBlocks(root, 'upstream').map(({ node }) => [
+        node.args[0],
+        directives(node, 'server').map(server => server.args[0]),
+    ]));
+    const servers = findBlocks(root, 'server').filter(({ ancestors }) => !ancestors.some(node => node.name === 'upstream'));
+    if (servers.length === 0) {
+        findings.push({ level: 'error', message: 'No server { } block found. Paste a site file or the output of sudo nginx -T.' });
+        return findings;
+    }
+
+    let proxyCount = 0;
+    const defaultServers = new Map();
+    const serverNames = new Map();
+    servers.forEach(({ node: server, ancestors }) => {
+        const serverChain = [server, ...ancestors, root];
+        const listens = directives(server, 'listen').map(directive => ({ directive, ...parseListen(directive) }));
+        const names = directives(server, 'server_name').flatMap(directive => directive.args);
+        const locations = findBlocks(server, 'location').map(({ node, ancestors: locationAncestors }) => ({
+            node,
+            chain: [node, ...locationAncestors.filter(ancestor => ancestor !== server), ...serverChain],
+        }));
+        const proxied = locations.filter(({ node }) => directives(node, 'proxy_pass').length > 0);
+        proxyCount += proxied.length;
+
+        // Leftover stock site: serves files from the distro's default root and proxies nothing
+        const rootDirective = effective(serverChain, 'root')[0];
+        const isStockRoot = rootDirective && DEFAULT_ROOTS.includes(rootDirective.args[0]);
+        if (server.file && /sites-enabled\/default$/.test(server.file)) {
+            finding('warning', `The stock default site (${server.file}) is still enabled; it can answer requests meant for your app. Remove it with: sudo unlink /etc/nginx/sites-enabled/default`, server, 'nginx-config-layout');
+        } else if (isStockRoot && proxied.length === 0) {
+            finding('warning', `This server block looks like the distro's default site (root ${rootDirective.args[0]}, no proxy_pass). Remove or disable it so it doesn't answer for your app.`, server, 'nginx-config-layout');
+        }
+
+        // default_server may be set once per address
+        listens.filter(listen => listen.defaultServer).forEach((listen) => {
+            if (!defaultServers.has(listen.address)) defaultServers.set(listen.address, []);
+            defaultServers.get(listen.address).push(listen.directive);
+        });
+        // A server_name used twice on the same port: Nginx ignores the second block
+        listens.forEach((listen) => {
+            names.filter(name => name !== '_' && name !== '').forEach((name) => {
+                const key = `${listen.port} ${name}`;
+                if (serverNames.has(key) && serverNames.get(key) !== server) {
+                    finding('warning', `server_name ${name} on port ${listen.port} is also used by the server block on line ${serverNames.get(key).line}; Nginx ignores this one ("conflicting server name").`, server, 'nginx-config-layout');
+                } else {
+                    serverNames.set(key, server);
+                }
+            });
+        });
+
+        // TLS listeners need a certificate and key (in the server block or inherited from http)
+        const tlsListen = listens.find(listen => listen.ssl || listen.port === '443');
+        if (tlsListen) {
+            const certificate = effective(serverChain, 'ssl_certificate');
+            const key = effective(serverChain, 'ssl_certificate_key');
+            if (certificate.length === 0 || key.length === 0) {
+                finding('error', `listen ${tlsListen.directive.args.join(' ')} without ${certificate.length === 0 ? 'ssl_certificate' : 'ssl_certificate_key'}; Nginx refuses to start. Run Certbot first, or use its certonly paths under /etc/letsencrypt/live/.`, tlsListen.directive, 'enable-https');
+            } else if (!tlsListen.ssl) {
+                finding('warning', `listen ${tlsListen.directive.args.join(' ')} is missing the "ssl" flag, so port 443 serves plain HTTP.`, tlsListen.directive, 'enable-https');
+            }
+        }
+
+        proxied.forEach(({ node: location, chain }) => {
+            const proxyPass = directives(location, 'proxy_pass')[0];
+            const target = parseProxyPass(proxyPass.args[0] || '');
+            if (!target) {
+                finding('warning', `Can't read the proxy_pass target "${proxyPass.args[0] || ''}".`, proxyPass);
+            } else {
+                if (target.scheme === 'https') {
+                    finding('warning', 'proxy_pass uses https://, but Uvicorn behind Nginx speaks plain http; TLS ends at Nginx.', proxyPass, 'install-nginx');
+                }
+                if (upstreams.has(target.host)) {
+                    upstreams.get(target.host).forEach(destination => checkDestination(destination, proxyPass, expectedPort, finding));
+                } else {
+                    checkDestination(target.port ? `${target.host}:${target.port}` : target.host, proxyPass, expectedPort, finding);
+                }
+            }
+
+            const headers = effective(chain, 'proxy_set_header');
+            const headerNames = headers.map(directive => (directive.args[0] || '').toLowerCase());
+            const missing = (name) => !headerNames.includes(name);
+            const where = `location ${location.args.join(' ')}`;
+            if (missing('host')) {
+                finding('warning', `${where} doesn't set "proxy_set_header Host $host;"; the app sees 127.0.0.1:${expectedPort} as the host, which breaks redirects and absolute URLs.`, location, 'install-nginx');
+            }
+            const forwarded = ['X-Forwarded-For', 'X-Forwarded-Proto'].filter(name => missing(name.toLowerCase()));
+            if (forwarded.length > 0) {
+                finding('warning', `${where} doesn't set ${forwarded.join(' and ')}; the app can't see the client's IP or that the request came in over https (run Uvicorn with --proxy-headers).`, location, 'install-nginx');
+            }
+            if (missing('upgrade')) {
+                finding('warning', `${where} has no WebSocket upgrade headers. If the app uses WebSockets, add proxy_http_version 1.1; proxy_set_header Upgrade $http_upgrade; proxy_set_header Connection "upgrade";`, location, 'install-nginx');
+            } else {
+                const version = effective(chain, 'proxy_http_version')[0];
+                if (!version || version.args[0] !== '1.1') {
+                    finding('error', `${where} forwards the Upgrade header without "proxy_http_version 1.1;"; WebSocket handshakes fail over HTTP/1.0.`, location, 'install-nginx');
+                }
+                if (missing('connection')) {
+                    finding('error', `${where} sets Upgrade but not "proxy_set_header Connection \\"upgrade\\";"; WebSocket handshakes fail.`, location, 'install-nginx');
+                }
+            }
+        });
+    });
+
+    defaultServers.forEach((listenDirectives, address) => {
+        if (listenDirectives.length < 2) return;
+        listenDirectives.slice(1).forEach((directive) => {
+            finding('error', `Duplicate default_server for ${address.replace(/^\*:/, 'port ')} (also on line ${listenDirectives[0].line}); nginx -t fails with "a duplicate default server".`, directive, 'nginx-config-layout');
+        });
+    });
+
+    if (proxyCount === 0) {
+        findings.push({ level: 'error', message: `No location has a proxy_pass, so nothing is forwarded to the app. Add proxy_pass http://127.0.0.1:${expectedPort}; inside location / { }.`, ref: 'install-nginx' });
+    }
+    if (domain && !servers.some(({ node }) => directives(node, 'server_name').some(directive => directive.args.includes(domain)))) {
+        findings.push({ level: 'warning', message: `No server_name contains ${domain}; requests for it go to the default server instead.`, ref: 'install-nginx' });
+    }
+
+    return findings.sort((a, b) => (a.line || 0) - (b.line || 0));
+};
@@ -0,0 +1,195 @@
+// Linter for a pasted systemd .service unit running the app, checking it against what
+// step 6.3 sets up. Handles template units (fastapi@.service), where %i is the instance
+// name and, in the checklist's unit, also the login user.
+//
+// Findings use the same shape as the Nginx linter: { level, message, line?, ref? }.
+
+import { RESTART_POLICIES } from '../generators/process-manager.js';
+
+// Environment variable names that usually hold credentials
+const SECRET_NAME_PATTERN = /(SECRET|PASSWORD|PASSWD|TOKEN|API_?KEY|PRIVATE_?KEY|ACCESS_?KEY|CREDENTIALS?)/i;
+// URLs with a password in them, e.g. postgresql://app:hunter2@db/app
+const URL_CREDENTIALS_PATTERN = /^[a-z][\w+.-]*:\/\/[^/\s:@]+:[^/\s@]+@/i;
+// Prefixes systemd allows in front of an Exec*= command ('-', '@', ':', '+', '!', '!!')
+const EXEC_PREFIX_PATTERN = /^[-@:+!]+/;
+
+// Parse unit text into { sections: [{ name, line, entries: [{ key, value, line }] }], errors }.
+// Comments start with '#' or ';', and a trailing '\' continues a value on the next line.
+export const parseUnitFile = (text) => {
+    const sections = [];
+    const errors = [];
+    const lines = text.split('\n');
+    for (let i = 0; i < lines.length; i += 1) {
+        const line = i + 1;
+        let raw = lines[i].trim();
+        if (raw === '' || raw.startsWith('#') || raw.startsWith(';')) continue;
+        while (raw.endsWith('\\') && i + 1 < lines.length) {
+            i += 1;
+            raw = `${raw.slice(0, -1).trimEnd()} ${lines[i].trim()}`;
+        }
+
+        const header = raw.match(/^\[([^\]]+)\]$/);
+        if (header) {
+            sections.push({ name: header[1], line, entries: [] });
+        } else if (!raw.includes('=')) {
+            errors.push({ level: 'error', message: `"${raw}" is not a Key=Value setting or a [Section] header; systemd ignores it.`, line });
+        } else if (sections.length === 0) {
+            errors.push({ level: 'error', message: `${raw.split('=')[0].trim()}= comes before any [Section] header; systemd ignores it.`, line });
+        } else {
+            const separator = raw.indexOf('=');
+            sections[sections.length - 1].entries.push({ key: raw.slice(0, separator).trim(), value: raw.slice(separator + 1).trim(), line });
+        }
+    }
+    return { sections, errors };
+};
+
+// Split a value on whitespace, keeping double- or single-quoted parts together (quotes removed)
+const splitWords = (value) => (value.match(/"[^"]*"|'[^']*'|\S+/g) || []).map(word => word.replace(/^(["'])(.*)\1$/, '$2'));
+
+// The user whose home a path is in ('%i' for /home/%i/...), or null
+const homeOwner = (path) => (path.match(/^\/home\/([^/]+)/) || [])[1] || null;
+
+// Host and port the app server binds to, read from uvicorn (--host/--port) or gunicorn (-b/--bind)
+const parseBind = (words) => {
+    const option = (names) => {
+        const index = words.findIndex(word => names.includes(word));
+        if (index !== -1) return words[index + 1] || null;
+        const inline = words.find(word => names.some(name => name.startsWith('--') && word.startsWith(`${name}=`)));
+        return inline ? inline.slice(inline.indexOf('=') + 1) : null;
+    };
+    const bind = option(['-b', '--bind']);
+    if (bind && !bind.startsWith('unix:')) {
+        const [, host = null, port = null] = bind.match(/^(\[[^\]]+\]|[^:]*)(?::(\d+))?$/) || [];
+        return { host, port };
+    }
+    return { host: option(['--host']), port: option(['--port']) };
+};
+
+// Lint unit text. 'options.port' is the port Nginx proxies to (default 8000). Returns findings sorted by line.
+export const lintSystemdUnit = (text, { port } = {}) => {
+    const expectedPort = String(port || '8000').trim() || '8000';
+    const { sections, errors } = parseUnitFile(text);
+    const findings = [...errors];
+    const finding = (level, message, entry, ref) => findings.push({ level, message, ...(entry ? { line: entry.line } : {}), ...(ref ? { ref } : {}) });
+
+    const section = (name) => sections.find(candidate => candidate.name === name);
+    const entries = (sectionName, key) => (section(sectionName) ? section(sectionName).entries.filter(entry => entry.key === key) : []);
+    const last = (sectionName, key) => entries(sectionName, key).slice(-1)[0] || null;
+
+    const service = section('Service');
+    if (!service) {
+        findings.push({ level: 'error', message: 'No [Service] section found. Paste the whole .service file, e.g. the output of: systemctl cat fastapi@ec2-user', ref: 'process-manager' });
+        return findings;
+    }
+
+    // [Unit] ordering: network.target only means the network stack is up, not configured
+    const after = entries('Unit', 'After').flatMap(entry => splitWords(entry.value).map(unit => ({ unit, entry })));
+    const wants = entries('Unit', 'Wants').flatMap(entry => splitWords(entry.value));
+    const afterNetwork = after.find(({ unit }) => unit === 'network.target');
+    const afterOnline = after.find(({ unit }) => unit === 'network-online.target');
+    if (afterNetwork && !afterOnline) {
+        finding('warning', 'After=network.target only waits for the network stack, not for an address; an app that connects to a database or AWS on startup can fail at boot. Use After=network-online.target with Wants=network-online.target.', afterNetwork.entry, 'process-manager-not-starting');
+    } else if (afterOnline && !wants.includes('network-online.target')) {
+        finding('warning', 'After=network-online.target without Wants=network-online.target doesn\'t pull that target in, so it may never be waited for. Add Wants=network-online.target.', afterOnline.entry, 'process-manager-not-starting');
+    }
+
+    // ExecStart: one absolute path to the executable, no shell syntax
+    const execStarts = entries('Service', 'ExecStart').filter(entry => entry.value !== '');
+    const execStart = execStarts[execStarts.length - 1] || null;
+    const execWords = execStart ? splitWords(execStart.value.replace(EXEC_PREFIX_PATTERN, '')) : [];
+    const executable = execWords[0] || '';
+    if (!execStart) {
+        finding('error', 'No ExecStart= in [Service]; systemd has nothing to run.', null, 'execstart-venv-path');
+    } else {
+        const type = last('Service', 'Type');
+        if (execStarts.length > 1 && (!type || type.value !== 'oneshot')) {
+            finding('error', 'More than one ExecStart= is only allowed for Type=oneshot; to replace the command in a drop-in, clear it first with an empty ExecStart=.', execStarts[1], 'process-manager-not-starting');
+        }
+        if (execWords.some(word => ['&&', '||', '|', ';'].includes(word)) || ['source', '.', 'cd'].includes(executable)) {
+            finding('error', 'ExecStart is not run by a shell, so "source", "cd", "&&" and pipes don\'t work. Call the virtualenv\'s executable directly and set WorkingDirectory= instead.', execStart, 'execstart-venv-path');
+        } else if (!executable.startsWith('/')) {
+            finding('error', `ExecStart runs "${executable}" by a relative name; systemd doesn't search the virtualenv, so the service fails with status=203/EXEC. Use the absolute path, e.g. /home/%i/app/.venv/bin/${executable.split('/').pop() || 'uvicorn'}.`, execStart, 'execstart-venv-path');
+        }
+
+        const bind = parseBind(execWords);
+        if (bind.host === '0.0.0.0' || bind.host === '[::]') {
+            finding('warning', `The app binds to ${bind.host}, so anyone can reach port ${bind.port || expectedPort} directly and bypass Nginx. Behind Nginx, bind to 127.0.0.1.`, execStart, 'port-8000-still-open');
+        }
+        if (bind.port && bind.port !== expectedPort) {
+            finding('warning', `The app listens on port ${bind.port}, but your profile expects ${expectedPort}; Nginx will answer 502 Bad Gateway unless proxy_pass uses the same port.`, execStart, 'nginx-502-bad-gateway');
+        }
+    }
+
+    // WorkingDirectory, ExecStart and User must agree on whose home the app lives in
+    const workingDirectory = last('Service', 'WorkingDirectory');
+    const workingPath = workingDirectory ? workingDirectory.value.replace(/^-/, '') : '';
+    const user = last('Service', 'User');
+    if (!workingDirectory) {
+        finding('warning', 'No WorkingDirectory=; the app starts in / and "main:app" or relative paths in your code won\'t be found.', null, 'execstart-venv-path');
+    } else if (!workingPath.startsWith('/') && workingPath !== '~' && !workingPath.startsWith('%h')) {
+        finding('error', `WorkingDirectory=${workingPath} must be an absolute path.`, workingDirectory, 'execstart-venv-path');
+    }
+    if (!user) {
+        finding('warning', 'No User=; the app runs as root. Run it as the login user (User=%i in a template unit) or a dedicated user.', null, 'process-manager');
+    }
+
+    const templated = [workingDirectory, execStart, user].some(entry => entry && entry.value.includes('%i'));
+    const owners = [
+        { entry: workingDirectory, owner: homeOwner(workingPath) },
+        { entry: execStart, owner: homeOwner(executable) },
+    ].filter(({ owner }) => owner);
+    const distinct = [...new Set(owners.map(({ owner }) => owner))];
+    if (distinct.length > 1) {
+        finding('error', `WorkingDirectory is in /home/${owners[0].owner} but ExecStart runs from /home/${owners[1].owner}; they should point at the same app checkout.`, owners[1].entry, 'execstart-venv-path');
+    } else if (templated && distinct.length === 1 && distinct[0] !== '%i') {
+        finding('warning', `This template unit uses %i but hard-codes /home/${distinct[0]}; an instance for any other user (fastapi@ubuntu) runs another user's checkout or fails. Use /home/%i.`, owners[0].entry, 'execstart-venv-path');
+    }
+    if (user && distinct.length === 1 && user.value !== distinct[0] && !['%i', 'root'].includes(user.value) && distinct[0] !== '%i') {
+        finding('warning', `The app is in /home/${distinct[0]} but runs as User=${user.value}, who usually can't read another user's home.`, user, 'execstart-venv-path');
+    } else if (user && distinct[0] === '%i' && user.value !== '%i') {
+        finding('warning', `Paths use /home/%i but User=${user.value}; start the unit as fastapi@${user.value}, or use User=%i.`, user, 'execstart-venv-path');
+    }
+
+    // Restart policy
+    const restart = last('Service', 'Restart');
+    if (!restart) {
+        finding('warning', 'No Restart=; systemd defaults to Restart=no, so the app stays down after a crash. Add Restart=on-failure.', null, 'process-manager-not-starting');
+    } else {
+        const policy = RESTART_POLICIES.find(candidate => candidate.value === restart.value);
+        if (!policy) {
+            finding('error', `Restart=${restart.value} is not a systemd restart policy.`, restart, 'process-manager-not-starting');
+        } else if (!policy.sane) {
+            finding('warning', `Restart=${restart.value} won't bring the app back after a crash; use on-failure or always.`, restart, 'process-manager-not-starting');
+        }
+    }
+
+    // Secrets belong in an EnvironmentFile readable only by root, not in the world-readable unit
+    entries('Service', 'Environment').forEach((entry) => {
+        splitWords(entry.value).forEach((assignment) => {
+            const separator = assignment.indexOf('=');
+            if (separator === -1) {
+                finding('error', `Environment= entry "${assignment}" has no "="; systemd ignores it.`, entry, 'service-env-missing');
+                return;
+            }
+            const name = assignment.slice(0, separator);
+            const value = assignment.slice(separator + 1);
+            if (SECRET_NAME_PATTERN.test(name) || URL_CREDENTIALS_PATTERN.test(value)) {
+                finding('warning', `${name} looks like a secret. Unit files are readable by every user (and shown by systemctl show); move it to an EnvironmentFile=/etc/fastapi/env owned by root with mode 600.`, entry, 'service-env-missing');
+            }
+        });
+    });
+    entries('Service', 'EnvironmentFile').forEach((entry) => {
+        const path = entry.value.replace(/^-/, '');
+        if (!path.startsWith('/')) {
+            finding('error', `EnvironmentFile=${path} must be an absolute path.`, entry, 'service-env-missing');
+        }
+    });
+
+    // [Install] decides whether 'systemctl enable' starts it at boot
+    const wantedBy = entries('Install', 'WantedBy');
+    if (wantedBy.length === 0) {
+        finding('warning', 'No [Install] WantedBy=; "systemctl enable" fails and the app won\'t start at boot. Add WantedBy=multi-user.target.', section('Install') ? section('Install').entries[0] : null, 'process-manager-not-starting');
+    }
+
+    return findings.sort((a, b) => (a.line || 0) - (b.line || 0));
+};
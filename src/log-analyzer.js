@@ -0,0 +1,43 @@
+// Matches pasted log text (journalctl, Nginx error.log, pip/uvicorn output) against the
+// 'signatures' declared on pitfalls:
+//   "signatures": [{ "pattern": "Address already in use", "weight": 3 }]
+// 'pattern' is a case-insensitive regular expression tested against each log line;
+// 'weight' (default 1) is how strongly a match points at that pitfall.
+
+import { listPitfalls } from './pitfalls.js';
+
+// Lines shown per result as evidence
+const MAX_EXAMPLE_LINES = 3;
+
+// Analyze 'text' against the pitfalls in 'content'. Returns the likely causes, best first:
+// [{ pitfall: { id, title, fix, stepTitle, route }, score, lines }] where 'score' sums the
+// weights of the distinct signatures that matched and 'lines' are example matching lines.
+export const analyzeLog = (content, text) => {
+    const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    if (lines.length === 0) return [];
+
+    const results = [];
+    listPitfalls(content)
+        .filter(({ block }) => Array.isArray(block.signatures))
+        .forEach(({ block, ...pitfall }) => {
+            let score = 0;
+            const matched = [];
+            block.signatures.forEach(({ pattern, weight = 1 }) => {
+                const regex = new RegExp(pattern, 'i');
+                const hits = lines.filter(line => regex.test(line));
+                if (hits.length === 0) return;
+                score += weight;
+                hits.forEach((line) => {
+                    if (!matched.includes(line)) matched.push(line);
+                });
+            });
+            if (score > 0) {
+                results.push({ pitfall, score, matchCount: matched.length, lines: matched.slice(0, MAX_EXAMPLE_LINES) });
+            }
+        });
+
+    // More matching lines break ties between equally weighted causes
+    return results
+        .sort((a, b) => b.score - a.score || b.matchCount - a.matchCount)
+        .map(({ matchCount, ...result }) => result);
+};
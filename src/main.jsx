@@ -1,6 +1,12 @@
 import React from 'react';
 import ReactDOM from 'react-dom/client';
 import App from './app.jsx';
+import { registerServiceWorker } from './offline.js';
+// Inter is bundled rather than loaded from Google Fonts, so the page renders offline
+import '@fontsource/inter/latin-400.css';
+import '@fontsource/inter/latin-500.css';
+import '@fontsource/inter/latin-600.css';
+import '@fontsource/inter/latin-700.css';
 import './index.css'; // Import the main CSS file
 
 ReactDOM.createRoot(document.getElementById('root')).render(
@@ -8,3 +14,5 @@ ReactDOM.createRoot(document.getElementById('root')).render(
     <App />
   </React.StrictMode>,
 );
+
+registerServiceWorker();
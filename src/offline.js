@@ -0,0 +1,11 @@
+// Registers the service worker that caches the built guide, so it keeps working offline
+// (progress and profiles already live in localStorage). Skipped in development, where
+// Vite serves unbundled modules that shouldn't be cached.
+export const registerServiceWorker = () => {
+    if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`).catch((err) => {
+            console.error('Failed to register the service worker: ', err);
+        });
+    });
+};
@@ -0,0 +1,38 @@
+// Flat list of the pitfalls in the checklist with where each one lives, for the
+// tools that point users at a pitfall (troubleshooting wizard, log analyzer, config linters).
+
+// [{ block, id, title, fix, stepTitle, route }] in document order, where 'block' is the
+// pitfall content block and 'route' addresses it (see routing.js)
+export const listPitfalls = (content) => {
+    const pitfalls = [];
+    content.forEach(mainSection => mainSection.sections.forEach(step => step.contentBlocks
+        .filter(block => block.type === 'pitfall')
+        .forEach((block) => {
+            pitfalls.push({
+                block,
+                id: block.id,
+                title: block.title,
+                fix: block.fix,
+                stepTitle: step.title,
+                route: { mainSectionId: mainSection.id, stepId: step.id, pitfallId: block.id },
+            });
+        })));
+    return pitfalls;
+};
+
+// Title and route of the step or pitfall with 'id', for linking tool findings back to the
+// checklist; null if 'content' doesn't contain it (e.g. filtered out for the target OS)
+export const findReference = (content, id) => {
+    for (const mainSection of content) {
+        for (const step of mainSection.sections) {
+            if (step.id === id) {
+                return { title: step.title, route: { mainSectionId: mainSection.id, stepId: step.id } };
+            }
+            const block = step.contentBlocks.find(candidate => candidate.type === 'pitfall' && candidate.id === id);
+            if (block) {
+                return { title: block.title, route: { mainSectionId: mainSection.id, stepId: step.id, pitfallId: block.id } };
+            }
+        }
+    }
+    return null;
+};
@@ -0,0 +1,49 @@
+// Target operating system taxonomy. Steps, command blocks and pitfalls may carry an
+// 'os' field naming the distro they apply to; anything without one is "General"
+// and is shown regardless of the selected target.
+
+// localStorage key under which the selected target OS is persisted
+export const TARGET_OS_STORAGE_KEY = 'targetOs';
+
+// Selecting 'all' disables filtering and shows every distro side by side
+export const ALL_OS = 'all';
+
+export const OS_OPTIONS = [
+    { id: ALL_OS, label: 'All platforms' },
+    { id: 'ubuntu', label: 'Ubuntu' },
+    { id: 'al2023', label: 'Amazon Linux 2023' },
+];
+
+// Read the stored target OS, ignoring values that are no longer valid options.
+export const loadTargetOs = () => {
+    const stored = localStorage.getItem(TARGET_OS_STORAGE_KEY);
+    return OS_OPTIONS.some(option => option.id === stored) ? stored : ALL_OS;
+};
+
+// Login user created by each distro's AMI, used when the profile doesn't set one
+const DEFAULT_USERS = { ubuntu: 'ubuntu', al2023: 'ec2-user' };
+
+// The OS user for generated files: the profile's, else the target distro's default login user
+export const resolveOsUser = (profile, targetOs) => String(profile.osUser || '').trim() || DEFAULT_USERS[targetOs] || 'ec2-user';
+
+// Label for an OS id (used for badges on OS-specific blocks)
+export const osLabel = (os) => (OS_OPTIONS.find(option => option.id === os) || {}).label || os;
+
+// Returns true if a step or block should be shown for the selected OS.
+export const matchesOs = (item, targetOs) => !item.os || targetOs === ALL_OS || item.os === targetOs;
+
+// Drop steps and content blocks that target another OS, then drop main sections left empty.
+export const filterContentForOs = (content, targetOs) => {
+    if (targetOs === ALL_OS) return content;
+    return content
+        .map(mainSection => ({
+            ...mainSection,
+            sections: mainSection.sections
+                .filter(step => matchesOs(step, targetOs))
+                .map(step => ({
+                    ...step,
+                    contentBlocks: step.contentBlocks.filter(block => matchesOs(block, targetOs)),
+                })),
+        }))
+        .filter(mainSection => mainSection.sections.length > 0);
+};
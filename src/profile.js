@@ -0,0 +1,97 @@
+// Deployment profile: the values a team would otherwise hand-edit into every
+// copied command (domain, OS user, app directory, ...). Each field maps to one
+// or more placeholder patterns found in the checklist commands.
+
+// localStorage key under which the profile is persisted
+export const PROFILE_STORAGE_KEY = 'deploymentProfile';
+
+// Field definitions used to render the profile form.
+// 'placeholder' mirrors the placeholder text used in the checklist commands.
+export const PROFILE_FIELDS = [
+    { key: 'domain', label: 'Domain', placeholder: 'your_domain.com' },
+    { key: 'osUser', label: 'OS user', placeholder: 'ec2-user' },
+    { key: 'appDir', label: 'App directory', placeholder: '/path/to/your/app' },
+    { key: 'asgiModule', label: 'ASGI module', placeholder: 'main:app' },
+    { key: 'port', label: 'Port', placeholder: '8000', inputMode: 'numeric' },
+    { key: 'workers', label: 'Workers', placeholder: '4', inputMode: 'numeric' },
+    { key: 'keyFile', label: 'Key file', placeholder: 'your-key.pem' },
+    { key: 'instanceType', label: 'Instance type', placeholder: 't3.micro' },
+];
+
+// An empty profile means "leave the placeholders as they are".
+export const EMPTY_PROFILE = PROFILE_FIELDS.reduce((acc, field) => ({ ...acc, [field.key]: '' }), {});
+
+// Substitution rules, in priority order. Fields without a rule (e.g. instanceType)
+// are only used by the generators. When two rules match overlapping text,
+// the rule listed first wins (e.g. '/home/ec2-user/app' is an app dir, not a user).
+const SUBSTITUTION_RULES = [
+    { field: 'appDir', pattern: /\/home\/ec2-user\/app(?=\/|\b)/g },
+    { field: 'appDir', pattern: /\/path\/to\/your\/app/g },
+    { field: 'domain', pattern: /your_domain\.com/g },
+    { field: 'osUser', pattern: /\bec2-user\b/g },
+    { field: 'osUser', pattern: /\bubuntu(?=@)/g },
+    { field: 'osUser', pattern: /(?<=\buser=)ubuntu\b/g },
+    { field: 'osUser', pattern: /YOUR_USER/g },
+    { field: 'asgiModule', pattern: /\bmain:app\b/g },
+    { field: 'port', pattern: /(?<![\d.])8000\b/g },
+    { field: 'workers', pattern: /(?<=(?:^|\s)-w )\d+/g },
+    { field: 'workers', pattern: /(?<=--workers )\d+/g },
+    { field: 'keyFile', pattern: /\b(?:your-)?key\.pem\b/g },
+];
+
+// Read the stored profile, falling back to an empty one if nothing (or garbage) is stored.
+export const loadProfile = () => {
+    try {
+        const stored = JSON.parse(localStorage.getItem(PROFILE_STORAGE_KEY));
+        if (stored && typeof stored === 'object') {
+            return { ...EMPTY_PROFILE, ...stored };
+        }
+    } catch (err) {
+        console.error('Failed to read deployment profile: ', err);
+    }
+    return { ...EMPTY_PROFILE };
+};
+
+// Persist the profile to localStorage.
+export const saveProfile = (profile) => {
+    localStorage.setItem(PROFILE_STORAGE_KEY, JSON.stringify(profile));
+};
+
+// Returns true if at least one profile field has a value.
+export const isProfileActive = (profile) => Object.values(profile || {}).some(value => String(value).trim() !== '');
+
+// Split a command string into segments, marking the ones replaced by profile values.
+// Returns an array of { text, substituted, field }.
+export const substituteTokens = (text, profile) => {
+    if (!profile || !text) return [{ text, substituted: false }];
+
+    // Collect every match from every rule whose field has a value
+    const matches = [];
+    SUBSTITUTION_RULES.forEach((rule, priority) => {
+        const value = String(profile[rule.field] || '').trim();
+        if (!value) return;
+        for (const match of text.matchAll(rule.pattern)) {
+            matches.push({ start: match.index, end: match.index + match[0].length, value, field: rule.field, priority });
+        }
+    });
+
+    // Keep the non-overlapping matches, preferring earlier positions and then higher-priority rules
+    matches.sort((a, b) => a.start - b.start || a.priority - b.priority);
+    const segments = [];
+    let cursor = 0;
+    matches.forEach((match) => {
+        if (match.start < cursor) return;
+        if (match.start > cursor) {
+            segments.push({ text: text.slice(cursor, match.start), substituted: false });
+        }
+        segments.push({ text: match.value, substituted: true, field: match.field });
+        cursor = match.end;
+    });
+    if (cursor < text.length) {
+        segments.push({ text: text.slice(cursor), substituted: false });
+    }
+    return segments;
+};
+
+// Apply the profile to a command string, returning plain text (used for copying).
+export const applyProfile = (text, profile) => substituteTokens(text, profile).map(segment => segment.text).join('');
@@ -0,0 +1,111 @@
+// Checklist completion tracking. Progress is a flat map of completed keys, where a
+// key is either a step id (e.g. 'install-nginx') or a command block key built by
+// blockKey(). Keying on ids rather than positions keeps progress valid when steps
+// and blocks are added, reordered or reworded; keys that no longer exist are ignored.
+
+// localStorage key under which progress is persisted
+export const PROGRESS_STORAGE_KEY = 'checklistProgress';
+
+// Command block keys saved when blocks were keyed by position ('<step id>/block-<index>')
+const LEGACY_BLOCK_KEYS = {
+    'install-python/block-0': 'install-python/local-python-setup',
+    'install-dependencies/block-0': 'install-dependencies/local-pip-install',
+    'choose-ami/block-0': 'choose-ami/choose-ami-ubuntu',
+    'choose-ami/block-1': 'choose-ami/choose-ami-al2023',
+    'configure-security-group/block-0': 'configure-security-group/security-group-rules',
+    'connect-ssh/block-0': 'connect-ssh/ssh-linux-macos',
+    'install-deps-ubuntu/block-0': 'install-deps-ubuntu/apt-install-deps',
+    'install-deps-amazon-linux/block-0': 'install-deps-amazon-linux/dnf-install-deps',
+    'get-code-onto-server/block-0': 'get-code-onto-server/git-clone-app',
+    'get-code-onto-server/block-1': 'get-code-onto-server/scp-copy-app',
+    'install-deps-ec2/block-0': 'install-deps-ec2/create-server-venv',
+    'run-uvicorn/block-0': 'run-uvicorn/uvicorn-foreground',
+    'run-uvicorn/block-1': 'run-uvicorn/uvicorn-nohup',
+    'install-nginx/block-0': 'install-nginx/nginx-site-ubuntu',
+    'install-nginx/block-1': 'install-nginx/nginx-site-al2023',
+    'enable-https/block-0': 'enable-https/certbot-ubuntu',
+    'enable-https/block-1': 'enable-https/certbot-al2023',
+    'process-manager/block-0': 'process-manager/gunicorn-workers',
+    'process-manager/block-1': 'process-manager/supervisord-program',
+    'process-manager/block-2': 'process-manager/systemd-service',
+    'implement-cors-middleware/block-0': 'implement-cors-middleware/cors-middleware-code',
+    'common-troubleshooting/block-0': 'common-troubleshooting/troubleshooting-general',
+    'validate-deployment/block-0': 'validate-deployment/validate-via-domain',
+    'validate-deployment/block-1': 'validate-deployment/validate-on-instance',
+};
+
+// Key for a block of a step: command blocks and pitfalls by their id, tools by their tool id.
+// Text blocks hold no progress and are keyed by their position among the step's text blocks.
+export const blockKey = (stepId, block, textIndex) => {
+    if (block.type === 'tool') return `${stepId}/tool-${block.tool}`;
+    if (block.type === 'text') return `${stepId}/text-${textIndex}`;
+    return `${stepId}/${block.id}`;
+};
+
+// Give every content block its 'key', computed on the full (unfiltered) content.
+export const withBlockKeys = (content) => content.map(mainSection => ({
+    ...mainSection,
+    sections: mainSection.sections.map((step) => {
+        let textIndex = 0;
+        return {
+            ...step,
+            contentBlocks: step.contentBlocks.map((block) => {
+                if (block.type === 'text') textIndex += 1;
+                return { ...block, key: blockKey(step.id, block, textIndex) };
+            }),
+        };
+    }),
+}));
+
+// Rename position-based block keys to the current ones
+const migrateProgress = (stored) => Object.fromEntries(Object.entries(stored)
+    .map(([key, value]) => [LEGACY_BLOCK_KEYS[key] || key, value]));
+
+// Read stored progress, falling back to nothing completed.
+export const loadProgress = () => {
+    try {
+        const stored = JSON.parse(localStorage.getItem(PROGRESS_STORAGE_KEY));
+        if (stored && typeof stored === 'object') {
+            return migrateProgress(stored);
+        }
+    } catch (err) {
+        console.error('Failed to read checklist progress: ', err);
+    }
+    return {};
+};
+
+// Persist progress to localStorage.
+export const saveProgress = (progress) => {
+    localStorage.setItem(PROGRESS_STORAGE_KEY, JSON.stringify(progress));
+};
+
+// Return a new progress map with 'key' set to 'done' (completed keys only are kept).
+export const setCompleted = (progress, key, done) => {
+    const next = { ...progress };
+    if (done) {
+        next[key] = true;
+    } else {
+        delete next[key];
+    }
+    return next;
+};
+
+// Count completed steps per main section and overall.
+// Returns { overall: { done, total }, sections: { [mainSectionId]: { done, total } } }.
+export const computeProgress = (content, progress) => {
+    const overall = { done: 0, total: 0 };
+    const sections = {};
+    content.forEach((mainSection) => {
+        const counts = { done: 0, total: mainSection.sections.length };
+        mainSection.sections.forEach((step) => {
+            if (progress[step.id]) counts.done += 1;
+        });
+        sections[mainSection.id] = counts;
+        overall.done += counts.done;
+        overall.total += counts.total;
+    });
+    return { overall, sections };
+};
+
+// Percentage helper for progress bars
+export const percent = ({ done, total }) => (total === 0 ? 0 : Math.round((done / total) * 100));
@@ -0,0 +1,126 @@
+// Python version selection. The install and venv commands in the content are written for
+// Python 3.9; applyPythonVersion rewrites them, and the 'Python 3.9' in step and command
+// descriptions, for the selected version per distro (Ubuntu servers install other versions
+// from the deadsnakes PPA, Amazon Linux 2023 from its python3.x packages).
+// Pitfalls may carry a 'python' range such as { "max": "3.9" } and are hidden outside it.
+
+// localStorage key under which the selected Python version is persisted
+export const PYTHON_VERSION_STORAGE_KEY = 'pythonVersion';
+
+// The version the content's commands are written for
+export const DEFAULT_PYTHON_VERSION = '3.9';
+
+// Selectable versions. 'al2023' says how Amazon Linux 2023 provides the version: 'system' is
+// its default python3, 'package' the python3.x packages and null means it isn't packaged.
+export const PYTHON_VERSIONS = [
+    { id: '3.9', al2023: 'system' },
+    { id: '3.10', al2023: null },
+    { id: '3.11', al2023: 'package' },
+    { id: '3.12', al2023: 'package' },
+    { id: '3.13', al2023: null },
+];
+
+const DEADSNAKES_COMMANDS = [
+    'sudo apt install -y software-properties-common',
+    'sudo add-apt-repository -y ppa:deadsnakes/ppa',
+];
+
+// Returns true if 'version' is one of the selectable versions
+export const isPythonVersion = (version) => PYTHON_VERSIONS.some(option => option.id === version);
+
+// Read the stored version, ignoring values that are no longer valid options.
+export const loadPythonVersion = () => {
+    const stored = localStorage.getItem(PYTHON_VERSION_STORAGE_KEY);
+    return isPythonVersion(stored) ? stored : DEFAULT_PYTHON_VERSION;
+};
+
+// Comparable number for a 'major.minor' version string
+const versionNumber = (version) => {
+    const [major, minor] = String(version).split('.').map(Number);
+    return major * 100 + minor;
+};
+
+// Returns true if a block's 'python' range includes the version (no range includes all).
+export const matchesPythonVersion = (item, version) => {
+    if (!item.python) return true;
+    const { min, max } = item.python;
+    return (min === undefined || versionNumber(version) >= versionNumber(min))
+        && (max === undefined || versionNumber(version) <= versionNumber(max));
+};
+
+// Interpreter that venv commands should use on 'os' (null or 'all' when the distro isn't known).
+// Amazon Linux 2023 keeps its system Python when the version isn't packaged there.
+export const pythonInterpreter = (version, os) => {
+    const option = PYTHON_VERSIONS.find(candidate => candidate.id === version);
+    if (os === 'al2023' && !option.al2023) return `python${DEFAULT_PYTHON_VERSION}`;
+    return `python${version}`;
+};
+
+// Warnings for a version the target OS doesn't package (empty when it is)
+export const pythonVersionWarnings = (version, targetOs) => {
+    const option = PYTHON_VERSIONS.find(candidate => candidate.id === version);
+    if (!option || option.al2023 || targetOs === 'ubuntu') return [];
+    return [`Python ${version} isn't packaged for Amazon Linux 2023, so its commands keep the system Python ${DEFAULT_PYTHON_VERSION}. Install ${version} with pyenv or uv if you need it there.`];
+};
+
+const VENV_PATTERN = /\bpython3(?:\.\d+)?(?=\s+-m\s+(?:venv|virtualenv)\b)/g;
+const VERSION_TEXT_PATTERN = /\bPython 3\.\d+\b/g;
+const APT_INSTALL_PATTERN = /\bapt(?:-get)?\s+install\b/;
+const DNF_INSTALL_PATTERN = /\b(?:dnf|yum)\s+install\b/;
+
+// 'Python 3.x' in prose, naming the interpreter the commands use on 'os'
+const rewriteText = (text, version, os) => text.replace(VERSION_TEXT_PATTERN, `Python ${pythonInterpreter(version, os).replace(/^python/, '')}`);
+
+// Rewrite one command line for the version; returns the lines replacing it. 'os' is null for
+// commands run on the local machine, which get no PPA: that machine is set up by its owner.
+const rewriteCommand = (command, version, os) => {
+    if (APT_INSTALL_PATTERN.test(command) && /\bpython3\.\d+/.test(command)) {
+        const installed = command.replace(/\bpython3\.\d+/g, `python${version}`);
+        return os && version !== DEFAULT_PYTHON_VERSION ? [...DEADSNAKES_COMMANDS, installed] : [installed];
+    }
+    if (DNF_INSTALL_PATTERN.test(command) && /\bpython3-(?:pip|virtualenv)\b/.test(command)) {
+        const option = PYTHON_VERSIONS.find(candidate => candidate.id === version);
+        if (option.al2023 !== 'package') return [command];
+        // The python3.x packages include venv, so python3-virtualenv is no longer needed
+        return [command
+            .replace(/\bpython3-pip\b/, `python${version} python${version}-pip`)
+            .replace(/\s+python3-virtualenv\b/, '')];
+    }
+    return [command.replace(VENV_PATTERN, pythonInterpreter(version, os))];
+};
+
+// Drop pitfalls whose range excludes the version and rewrite install and venv commands
+// (and venv commands quoted in pitfalls) for it. 'targetOs' decides the interpreter of
+// general instance blocks; distro-specific blocks use their own 'os' and blocks run on the
+// local machine (and pitfalls of steps that only run there) always use the selected version.
+export const applyPythonVersion = (content, version, targetOs) => content.map(mainSection => ({
+    ...mainSection,
+    sections: mainSection.sections.map((step) => {
+        const localStep = step.contentBlocks.every(block => block.type !== 'command' || block.runsOn === 'local');
+        return {
+            ...step,
+            description: rewriteText(step.description, version, localStep ? null : step.os || targetOs),
+            contentBlocks: step.contentBlocks
+                .filter(block => matchesPythonVersion(block, version))
+                .map((block) => {
+                    const local = block.runsOn === 'local' || (block.type !== 'command' && localStep);
+                    const os = local ? null : block.os || step.os || targetOs;
+                    if (block.type === 'command') {
+                        return {
+                            ...block,
+                            commands: block.commands.flatMap(command => rewriteCommand(command, version, os)),
+                            ...(block.description ? { description: rewriteText(block.description, version, os) } : {}),
+                        };
+                    }
+                    if (block.type === 'pitfall' && !block.python) {
+                        return {
+                            ...block,
+                            content: block.content.replace(VENV_PATTERN, pythonInterpreter(version, os)),
+                            fix: block.fix.replace(VENV_PATTERN, pythonInterpreter(version, os)),
+                        };
+                    }
+                    return block;
+                }),
+        };
+    }),
+}));
@@ -0,0 +1,73 @@
+// URL state. The hash addresses a place in the checklist and the query string holds the search:
+//   ?q=502&filter=pitfall#/security-polish/install-nginx/nginx-502-bad-gateway
+// Hash routes are '#/<main section id>[/<step id>[/<pitfall id>]]'. Older '#<id>' links
+// (any single id) are still understood.
+
+import { SEARCH_FILTERS } from './search.js';
+
+// Parse a location hash into { mainSectionId, stepId, pitfallId } (missing parts are null),
+// or { targetId } for a legacy '#<id>' hash. Returns null for an empty hash and for one that
+// isn't valid percent-encoding (e.g. a truncated shared link), which lands on the overview.
+export const parseRoute = (hash) => {
+    let path;
+    try {
+        path = decodeURIComponent(String(hash || '').replace(/^#/, ''));
+    } catch (err) {
+        return null;
+    }
+    if (path === '' || path === '/') return null;
+    if (!path.startsWith('/')) return { targetId: path };
+    const [mainSectionId = null, stepId = null, pitfallId = null] = path.slice(1).split('/').filter(Boolean);
+    return { mainSectionId, stepId, pitfallId };
+};
+
+// The hash for a route; an empty route is the top of the page
+export const routeHash = ({ mainSectionId, stepId, pitfallId } = {}) => `#/${[mainSectionId, stepId, pitfallId].filter(Boolean).join('/')}`;
+
+// Find the route of a main section, step or pitfall id in 'content'; null if it isn't there
+export const findRoute = (content, id) => {
+    for (const mainSection of content) {
+        if (mainSection.id === id) return { mainSectionId: id, stepId: null, pitfallId: null };
+        for (const step of mainSection.sections) {
+            if (step.id === id) return { mainSectionId: mainSection.id, stepId: id, pitfallId: null };
+            if (step.contentBlocks.some(block => block.type === 'pitfall' && block.id === id)) {
+                return { mainSectionId: mainSection.id, stepId: step.id, pitfallId: id };
+            }
+        }
+    }
+    return null;
+};
+
+// Resolve a parsed route against 'content': fills in the main section/step for legacy ids
+// and drops parts that don't exist. Returns null if nothing in it can be found.
+export const resolveRoute = (content, route) => {
+    if (!route) return null;
+    if (route.targetId) return findRoute(content, route.targetId);
+    const deepest = route.pitfallId || route.stepId || route.mainSectionId;
+    return findRoute(content, deepest)
+        || (route.stepId && findRoute(content, route.stepId))
+        || (route.mainSectionId && findRoute(content, route.mainSectionId))
+        || null;
+};
+
+// DOM id of the element a route points at; pitfalls are rendered with a 'pitfall-' prefix
+export const routeElementId = (route) => (route.pitfallId ? `pitfall-${route.pitfallId}` : route.stepId || route.mainSectionId);
+
+// Read { query, filter } from a location.search string; unknown filters fall back to 'all'
+export const readSearchParams = (search) => {
+    const params = new URLSearchParams(search);
+    const filter = params.get('filter');
+    return {
+        query: params.get('q') || '',
+        filter: SEARCH_FILTERS.some(option => option.id === filter) ? filter : 'all',
+    };
+};
+
+// Build a relative URL with the search in the query string and the given hash
+export const buildUrl = ({ query, filter }, hash) => {
+    const params = new URLSearchParams();
+    if (query) params.set('q', query);
+    if (query && filter && filter !== 'all') params.set('filter', filter);
+    const search = params.toString();
+    return `${window.location.pathname}${search ? `?${search}` : ''}${hash || ''}`;
+};
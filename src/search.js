@@ -0,0 +1,131 @@
+// Ranked full-text search over the checklist. A query is split into tokens and every
+// token must appear somewhere in a hit. Hits are step headers (title + description)
+// and individual content blocks, so a search can land on the exact command or pitfall.
+
+// Block type filters offered next to the search box
+export const SEARCH_FILTERS = [
+    { id: 'all', label: 'All' },
+    { id: 'command', label: 'Commands' },
+    { id: 'pitfall', label: 'Pitfalls' },
+];
+
+// How much a token found in each field counts towards a hit's score
+const FIELD_WEIGHTS = {
+    title: 3,
+    description: 2,
+    pitfallTitle: 3,
+    pitfallContent: 2,
+    fix: 2,
+    text: 1.5,
+    command: 1,
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Split a query into lower-case tokens, dropping punctuation around words ('"502"' -> '502')
+export const tokenize = (query) => query
+    .toLowerCase()
+    .split(/\s+/)
+    .map(token => token.replace(/^[^\w/.-]+|[^\w/.-]+$/g, ''))
+    .filter(Boolean);
+
+// Score a set of { text, weight } fields against the tokens; 0 when any token is missing.
+// Whole-word matches count double, and the full query appearing verbatim earns a bonus.
+const scoreFields = (fields, tokens, phrase) => {
+    let score = 0;
+    for (const token of tokens) {
+        const wordPattern = new RegExp(`(^|[^\\w])${escapeRegExp(token)}($|[^\\w])`);
+        let best = 0;
+        fields.forEach(({ text, weight }) => {
+            const lower = text.toLowerCase();
+            if (!lower.includes(token)) return;
+            best = Math.max(best, weight * (wordPattern.test(lower) ? 2 : 1));
+        });
+        if (best === 0) return 0;
+        score += best;
+    }
+    if (tokens.length > 1 && fields.some(({ text }) => text.toLowerCase().includes(phrase))) {
+        score += Math.max(...fields.map(field => field.weight)) * 2;
+    }
+    return score;
+};
+
+// Searchable fields of one content block; tool blocks have no text of their own
+const blockFields = (block) => {
+    if (block.type === 'command') {
+        return [
+            ...block.commands.map(text => ({ text, weight: FIELD_WEIGHTS.command })),
+            ...(block.platform ? [{ text: block.platform, weight: FIELD_WEIGHTS.command }] : []),
+            ...(block.description ? [{ text: block.description, weight: FIELD_WEIGHTS.description }] : []),
+        ];
+    }
+    if (block.type === 'pitfall') {
+        return [
+            { text: block.title, weight: FIELD_WEIGHTS.pitfallTitle },
+            { text: block.content, weight: FIELD_WEIGHTS.pitfallContent },
+            { text: block.fix, weight: FIELD_WEIGHTS.fix },
+        ];
+    }
+    if (block.type === 'text') {
+        return [{ text: block.content, weight: FIELD_WEIGHTS.text }];
+    }
+    return [];
+};
+
+// Search 'content' (blocks must carry keys from withBlockKeys). Returns
+//   tokens    the query tokens, for highlighting
+//   hits      [{ key, stepId, mainSectionId, blockType, score }] best first; 'key' is the
+//             block key, or the step id for a match in the step's title/description
+//   stepIds   steps containing a hit (their accordions should open)
+//   blockKeys blocks that are hits (their pitfalls should open)
+//   content   the main sections and steps containing a hit, in document order
+// An empty query returns the content unchanged and no hits.
+export const searchContent = (content, query, { blockType = 'all' } = {}) => {
+    const tokens = tokenize(query);
+    if (tokens.length === 0) {
+        return { tokens, hits: [], stepIds: new Set(), blockKeys: new Set(), content };
+    }
+    const phrase = tokens.join(' ');
+
+    const hits = [];
+    content.forEach((mainSection) => {
+        mainSection.sections.forEach((step) => {
+            if (blockType === 'all') {
+                const score = scoreFields([
+                    { text: step.title, weight: FIELD_WEIGHTS.title },
+                    { text: step.description || '', weight: FIELD_WEIGHTS.description },
+                ], tokens, phrase);
+                if (score > 0) {
+                    hits.push({ key: step.id, stepId: step.id, mainSectionId: mainSection.id, blockType: 'step', score });
+                }
+            }
+            step.contentBlocks.forEach((block) => {
+                if (blockType !== 'all' && block.type !== blockType) return;
+                const score = scoreFields(blockFields(block), tokens, phrase);
+                if (score > 0) {
+                    hits.push({ key: block.key, stepId: step.id, mainSectionId: mainSection.id, blockType: block.type, score });
+                }
+            });
+        });
+    });
+    // Array.prototype.sort is stable, so equal scores keep document order
+    hits.sort((a, b) => b.score - a.score);
+
+    const stepIds = new Set(hits.map(hit => hit.stepId));
+    const blockKeys = new Set(hits.filter(hit => hit.blockType !== 'step').map(hit => hit.key));
+    const filtered = content
+        .map(mainSection => ({ ...mainSection, sections: mainSection.sections.filter(step => stepIds.has(step.id)) }))
+        .filter(mainSection => mainSection.sections.length > 0);
+
+    return { tokens, hits, stepIds, blockKeys, content: filtered };
+};
+
+// Split text into [{ text, match }] segments, marking case-insensitive occurrences of any token
+export const highlightSegments = (text, tokens) => {
+    if (!text || !tokens || tokens.length === 0) return [{ text, match: false }];
+    // Longest tokens first so 'nginx.conf' wins over 'nginx'
+    const pattern = new RegExp(`(${[...tokens].sort((a, b) => b.length - a.length).map(escapeRegExp).join('|')})`, 'gi');
+    return text.split(pattern)
+        .filter(part => part !== '')
+        .map(part => ({ text: part, match: tokens.includes(part.toLowerCase()) }));
+};
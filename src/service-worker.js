@@ -0,0 +1,63 @@
+// Service worker for the offline build, emitted as sw.js by the plugin in vite.config.js,
+// which fills in the cache version and the built files to precache.
+// Pages are served network-first so a new deploy shows up when online; everything else is
+// cache-first, since built assets have content hashes in their names.
+
+const CACHE_VERSION = 'dev'; // replaced at build time
+const PRECACHE_FILES = []; // replaced at build time
+
+const CACHE_PREFIX = 'checklist-';
+const CACHE_NAME = `${CACHE_PREFIX}${CACHE_VERSION}`;
+
+// Absolute URL of a file relative to the app's root
+const appUrl = (path) => new URL(path, self.registration.scope).href;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(PRECACHE_FILES.map(appUrl)))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Drop the caches of previous builds
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    if (request.mode === 'navigate') {
+        // Every route (#/..., ?q=...) is the same page, cached under the app root
+        event.respondWith(
+            fetch(request)
+                .then((response) => {
+                    if (response.ok) {
+                        const copy = response.clone();
+                        caches.open(CACHE_NAME).then(cache => cache.put(appUrl('./'), copy));
+                    }
+                    return response;
+                })
+                .catch(() => caches.match(appUrl('./')))
+        );
+        return;
+    }
+
+    event.respondWith(
+        caches.match(request).then(cached => cached || fetch(request).then((response) => {
+            if (response.ok) {
+                const copy = response.clone();
+                caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+            }
+            return response;
+        }))
+    );
+});
@@ -0,0 +1,87 @@
+// Setup questionnaire. Steps and content blocks may carry a 'when' field naming the answers
+// they apply to, e.g. { "hasDomain": true } or { "processManager": "supervisord" }; every
+// listed question must match. Unanswered questions match anything, so skipping the
+// questionnaire shows the whole guide.
+
+// localStorage key under which the answers are persisted
+export const SETUP_STORAGE_KEY = 'setupAnswers';
+
+// Questions with the values content may name in 'when'. 'summary' describes an answer in the
+// one-line summary shown once the questionnaire is done (defaults to the label).
+export const SETUP_QUESTIONS = [
+    {
+        id: 'hasDomain',
+        label: 'Will the app have its own domain name?',
+        hint: 'HTTPS with Certbot needs a domain pointing at the instance.',
+        options: [
+            { value: true, label: 'Yes', summary: 'own domain' },
+            { value: false, label: 'No, IP address only', summary: 'no domain' },
+        ],
+    },
+    {
+        id: 'processManager',
+        label: 'Which process manager will keep the app running?',
+        options: [
+            { value: 'systemd', label: 'systemd' },
+            { value: 'supervisord', label: 'Supervisord' },
+        ],
+    },
+    {
+        id: 'browserFrontend',
+        label: 'Will a browser front end on another origin call the API?',
+        hint: 'Only then does the API need CORS (section 7).',
+        options: [
+            { value: true, label: 'Yes', summary: 'browser front end' },
+            { value: false, label: 'No, only servers and scripts', summary: 'no browser front end' },
+        ],
+    },
+];
+
+// Read stored answers: an object of question id -> value, or null if the questionnaire
+// was never completed or skipped. Answers that are no longer valid options are dropped.
+export const loadSetupAnswers = () => {
+    try {
+        const stored = JSON.parse(localStorage.getItem(SETUP_STORAGE_KEY));
+        if (stored && typeof stored === 'object') {
+            return Object.fromEntries(SETUP_QUESTIONS
+                .filter(question => question.options.some(option => option.value === stored[question.id]))
+                .map(question => [question.id, stored[question.id]]));
+        }
+    } catch (err) {
+        console.error('Failed to read setup answers: ', err);
+    }
+    return null;
+};
+
+// Persist answers to localStorage.
+export const saveSetupAnswers = (answers) => {
+    localStorage.setItem(SETUP_STORAGE_KEY, JSON.stringify(answers));
+};
+
+// Label of the chosen option for each answered question, for the summary line
+export const describeSetup = (answers) => SETUP_QUESTIONS
+    .filter(question => answers && answers[question.id] !== undefined)
+    .map((question) => {
+        const option = question.options.find(candidate => candidate.value === answers[question.id]);
+        return option.summary || option.label;
+    });
+
+// Returns true if a step or block applies to the answers.
+export const matchesSetup = (item, answers) => !item.when || !answers || Object.entries(item.when)
+    .every(([question, value]) => answers[question] === undefined || answers[question] === value);
+
+// Drop steps and content blocks that don't apply to the answers, then drop main sections left empty.
+export const filterContentForSetup = (content, answers) => {
+    if (!answers) return content;
+    return content
+        .map(mainSection => ({
+            ...mainSection,
+            sections: mainSection.sections
+                .filter(step => matchesSetup(step, answers))
+                .map(step => ({
+                    ...step,
+                    contentBlocks: step.contentBlocks.filter(block => matchesSetup(block, answers)),
+                })),
+        }))
+        .filter(mainSection => mainSection.sections.length > 0);
+};
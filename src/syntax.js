@@ -0,0 +1,268 @@
+// Small syntax highlighter for the code shown in the checklist: shell commands, Python,
+// Nginx config and INI-style files (systemd units, Supervisord programs). Code is split into
+// lines of { text, type } tokens, where 'type' is one of the TOKEN_CLASSES keys or null.
+// It is deliberately line-based and forgiving; it colours code, it doesn't validate it.
+
+// Tailwind classes per token type, readable on the light and the dark code background
+export const TOKEN_CLASSES = {
+    comment: 'text-gray-500 dark:text-gray-400 italic',
+    string: 'text-green-700 dark:text-green-300',
+    keyword: 'text-purple-700 dark:text-purple-300',
+    builtin: 'text-blue-700 dark:text-blue-300',
+    variable: 'text-orange-700 dark:text-orange-300',
+    number: 'text-teal-700 dark:text-teal-300',
+    option: 'text-sky-700 dark:text-sky-300',
+    section: 'text-purple-700 dark:text-purple-300 font-semibold',
+    key: 'text-blue-700 dark:text-blue-300',
+    operator: 'text-pink-700 dark:text-pink-300',
+};
+
+// Language names accepted by highlightCode, mapped to their tokenizer
+const LANGUAGE_ALIASES = {
+    bash: 'bash',
+    sh: 'bash',
+    shell: 'bash',
+    python: 'python',
+    py: 'python',
+    nginx: 'nginx',
+    ini: 'ini',
+    systemd: 'ini',
+    supervisor: 'ini',
+    supervisord: 'ini',
+};
+
+const BASH_KEYWORDS = ['if', 'then', 'else', 'elif', 'fi', 'for', 'while', 'until', 'do', 'done', 'case', 'esac', 'in', 'function', 'select', '!'];
+// Words after which the next word is still in command position
+const BASH_PREFIXES = ['sudo', 'exec', 'time', 'nohup', 'env'];
+const PYTHON_KEYWORDS = ['and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue', 'def', 'del', 'elif', 'else', 'except', 'finally', 'for', 'from', 'global', 'if', 'import', 'in', 'is', 'lambda', 'nonlocal', 'not', 'or', 'pass', 'raise', 'return', 'try', 'while', 'with', 'yield', 'True', 'False', 'None'];
+const PYTHON_BUILTINS = ['print', 'len', 'str', 'int', 'float', 'bool', 'dict', 'list', 'set', 'tuple', 'range', 'open', 'self', 'super', 'isinstance', 'Exception'];
+const NGINX_BLOCKS = ['http', 'server', 'location', 'upstream', 'events', 'if', 'map', 'types', 'stream'];
+
+// Split one line into tokens. 'rules' are tried in order at each position; each has a sticky
+// 'pattern' and a 'type' (or a function (text, ctx) => type, where ctx is per-line state).
+const tokenizeLine = (line, rules, ctx = {}) => {
+    const tokens = [];
+    const push = (text, type) => {
+        const last = tokens[tokens.length - 1];
+        if (last && last.type === type && type === null) {
+            last.text += text;
+        } else {
+            tokens.push({ text, type });
+        }
+    };
+    let pos = 0;
+    while (pos < line.length) {
+        let matched = false;
+        for (const rule of rules) {
+            rule.pattern.lastIndex = pos;
+            const match = rule.pattern.exec(line);
+            if (match && match[0].length > 0) {
+                push(match[0], typeof rule.type === 'function' ? rule.type(match[0], ctx) : rule.type);
+                pos += match[0].length;
+                matched = true;
+                break;
+            }
+        }
+        if (!matched) {
+            push(line[pos], null);
+            pos += 1;
+        }
+    }
+    return tokens;
+};
+
+const QUOTED_RULES = [
+    { pattern: /'[^']*'?/y, type: 'string' },
+    { pattern: /"(?:\\.|[^"\\])*"?/y, type: 'string' },
+];
+
+const BASH_RULES = [
+    { pattern: /(?<=^|\s)#.*/y, type: 'comment' },
+    ...QUOTED_RULES,
+    { pattern: /\$(?:\{[^}]*\}|\w+|[@#?$!*])/y, type: 'variable' },
+    { pattern: /\s+/y, type: null },
+    {
+        pattern: /&&|\|\||<<-?|>>|[|;&()<>]|\$\(/y,
+        type: (text, ctx) => {
+            if (!['<<', '<<-', '>>', '<', '>', ')'].includes(text)) ctx.commandStart = true;
+            return 'operator';
+        },
+    },
+    { pattern: /--?[A-Za-z][\w-]*/y, type: 'option' },
+    {
+        pattern: /[^\s'"$|;&<>()]+/y,
+        type: (text, ctx) => {
+            if (!ctx.commandStart) return /^\d+$/.test(text) ? 'number' : null;
+            if (BASH_KEYWORDS.includes(text)) return 'keyword';
+            if (/^\w+=/.test(text)) return 'variable';
+            if (!BASH_PREFIXES.includes(text)) ctx.commandStart = false;
+            return 'builtin';
+        },
+    },
+];
+
+const PYTHON_RULES = [
+    { pattern: /#.*/y, type: 'comment' },
+    { pattern: /[rRbBfFuU]{1,2}(?=["'])/y, type: 'string' },
+    { pattern: /("""|''')(?:(?!\1)[\s\S])*(?:\1)?/y, type: 'string' },
+    ...QUOTED_RULES,
+    { pattern: /(?<=^\s*)@[\w.]+/y, type: 'builtin' },
+    { pattern: /\d[\d_]*(?:\.\d+)?/y, type: 'number' },
+    {
+        pattern: /[A-Za-z_]\w*/y,
+        type: (text, ctx) => {
+            if (ctx.afterDefinition) {
+                ctx.afterDefinition = false;
+                return 'key';
+            }
+            if (PYTHON_KEYWORDS.includes(text)) {
+                ctx.afterDefinition = text === 'def' || text === 'class';
+                return 'keyword';
+            }
+            return PYTHON_BUILTINS.includes(text) ? 'builtin' : null;
+        },
+    },
+];
+
+const NGINX_RULES = [
+    { pattern: /#.*/y, type: 'comment' },
+    ...QUOTED_RULES,
+    { pattern: /\$\{?\w+\}?/y, type: 'variable' },
+    { pattern: /\s+/y, type: null },
+    {
+        pattern: /[{};]/y,
+        type: (text, ctx) => {
+            ctx.statementStart = true;
+            return 'operator';
+        },
+    },
+    {
+        pattern: /[^\s{};'"$#]+/y,
+        type: (text, ctx) => {
+            if (ctx.statementStart) {
+                ctx.statementStart = false;
+                return NGINX_BLOCKS.includes(text) ? 'section' : 'key';
+            }
+            return /^\d+[kKmMgGsdhy]?$/.test(text) ? 'number' : null;
+        },
+    },
+];
+
+// Tokens of an INI value: systemd specifiers (%i), $VARIABLES, quotes, numbers and booleans
+const INI_VALUE_RULES = [
+    { pattern: /%[A-Za-z%]/y, type: 'variable' },
+    { pattern: /\$\{?\w+\}?/y, type: 'variable' },
+    ...QUOTED_RULES,
+    { pattern: /(?<![\w/.-])(?:\d+(?:\.\d+)?|true|false|yes|no)(?![\w/.-])/y, type: 'number' },
+];
+
+const tokenizeIniLine = (line) => {
+    const trimmed = line.trim();
+    if (trimmed.startsWith('#') || trimmed.startsWith(';')) return [{ text: line, type: 'comment' }];
+    if (/^\[[^\]]*\]$/.test(trimmed)) {
+        const indent = line.slice(0, line.indexOf('['));
+        return [...(indent ? [{ text: indent, type: null }] : []), { text: line.slice(indent.length), type: 'section' }];
+    }
+    const assignment = line.match(/^(\s*)([^=\s][^=]*?)(\s*=\s*)(.*)$/);
+    if (!assignment) return [{ text: line, type: null }];
+    const [, indent, key, equals, value] = assignment;
+    return [
+        ...(indent ? [{ text: indent, type: null }] : []),
+        { text: key, type: 'key' },
+        { text: equals, type: 'operator' },
+        ...tokenizeLine(value, INI_VALUE_RULES),
+    ];
+};
+
+const HEREDOC_PATTERN = /<<-?\s*(['"]?)(\w+)\1/;
+
+// Target file of a heredoc line ('sudo tee /path <<EOF' or 'cat > /path <<EOF'), or null
+const heredocTarget = (line) => (line.match(/\btee\s+(?:-a\s+)?([^\s<>|]+)/) || line.match(/>\s*([^\s<>|&]+)/) || [])[1] || null;
+
+// Language of a file from its path, or null when the path doesn't tell
+export const languageForPath = (path) => {
+    if (!path) return null;
+    if (/\.(?:service|socket|timer)$/.test(path) || path.startsWith('/etc/systemd/')) return 'systemd';
+    if (path.startsWith('/etc/supervisor')) return 'supervisor';
+    if (path.startsWith('/etc/nginx/') || /nginx[^/]*\.conf$/.test(path)) return 'nginx';
+    if (/\.py$/.test(path)) return 'python';
+    if (/\.(?:sh|bash)$/.test(path)) return 'bash';
+    if (/\.(?:ini|cfg)$/.test(path)) return 'ini';
+    return null;
+};
+
+// Patterns recognising the content of a multi-line file, most specific first
+const DETECTORS = [
+    { language: 'systemd', pattern: /^\s*\[(?:Unit|Service|Install|Socket|Timer)\]\s*$/m },
+    { language: 'supervisor', pattern: /^\s*\[(?:program|group|supervisord|eventlistener)(?::[^\]\n]*)?\]\s*$/m },
+    { language: 'nginx', pattern: /^\s*(?:(?:server|http|upstream|events)\s*\{|location\s+[^\n{]*\{|(?:proxy_pass|server_name|listen|add_header)\s+[^\n]*;)/m },
+    { language: 'python', pattern: /^\s*(?:from\s+[\w.]+\s+import\s|import\s+\w|def\s+\w+\s*\(|class\s+\w+\s*[(:]|@\w+)/m },
+    { language: 'ini', pattern: /^\s*\[[^\]\n]+\]\s*$/m },
+];
+
+// Guess the language of a block of code, or null
+export const detectLanguage = (text) => {
+    const detector = DETECTORS.find(candidate => candidate.pattern.test(text));
+    return detector ? detector.language : null;
+};
+
+// Language of one command entry: embedded file contents (a multi-line entry that isn't a
+// heredoc command) are detected, everything else uses the block's language
+export const entryLanguage = (entry, language = 'bash') => {
+    if (!entry.includes('\n') || HEREDOC_PATTERN.test(entry.split('\n')[0])) return language;
+    return detectLanguage(entry) || language;
+};
+
+// Highlight 'text' as 'language'. Returns one array of tokens per line. Shell heredocs are
+// highlighted in the language of the file they write (from its path, or detected).
+export const highlightCode = (text, language = 'bash') => {
+    const lines = String(text).split('\n');
+    const tokenizer = LANGUAGE_ALIASES[language];
+    if (tokenizer === 'ini') return lines.map(tokenizeIniLine);
+    if (tokenizer === 'python') return lines.map(line => tokenizeLine(line, PYTHON_RULES));
+    if (tokenizer === 'nginx') {
+        const ctx = { statementStart: true };
+        return lines.map(line => tokenizeLine(line, NGINX_RULES, ctx));
+    }
+    if (tokenizer !== 'bash') return lines.map(line => [{ text: line, type: null }]);
+
+    const result = [];
+    for (let i = 0; i < lines.length; i += 1) {
+        result.push(tokenizeLine(lines[i], BASH_RULES, { commandStart: true }));
+        const heredoc = lines[i].match(HEREDOC_PATTERN);
+        if (!heredoc) continue;
+        const end = lines.findIndex((line, index) => index > i && line.trim() === heredoc[2]);
+        const body = lines.slice(i + 1, end === -1 ? lines.length : end).join('\n');
+        const bodyLanguage = languageForPath(heredocTarget(lines[i])) || detectLanguage(body);
+        result.push(...highlightCode(body, bodyLanguage && bodyLanguage !== 'bash' ? bodyLanguage : 'text'));
+        if (end === -1) break;
+        result.push([{ text: lines[end], type: 'operator' }]);
+        i = end;
+    }
+    return result;
+};
+
+// Split highlighted lines at the given character ranges of the original text ([{ start, end, ...data }],
+// where each newline counts as one character). Tokens inside a range get it as 'range'.
+export const overlayRanges = (lines, ranges) => {
+    if (ranges.length === 0) return lines;
+    let offset = 0;
+    return lines.map((tokens) => {
+        const split = [];
+        tokens.forEach((token) => {
+            const tokenEnd = offset + token.text.length;
+            let start = offset;
+            while (start < tokenEnd) {
+                const range = ranges.find(candidate => candidate.start <= start && start < candidate.end);
+                const end = range
+                    ? Math.min(tokenEnd, range.end)
+                    : Math.min(tokenEnd, ...ranges.filter(candidate => candidate.start > start).map(candidate => candidate.start));
+                split.push({ ...token, text: token.text.slice(start - offset, end - offset), ...(range ? { range } : {}) });
+                start = end;
+            }
+            offset = tokenEnd;
+        });
+        offset += 1;
+        return split;
+    });
+};
@@ -0,0 +1,43 @@
+import React, { useState } from 'react';
+import { DEFAULT_CORS_OPTIONS, validateCorsOptions, generateCorsMiddleware, generateNginxCors } from '../generators/cors.js';
+import { ToolPanel, TextField, TextAreaField, CheckboxField, Warnings } from './fields.jsx';
+
+// Initial options, seeded from the deployment profile
+const initialOptions = (profile) => ({
+    ...DEFAULT_CORS_OPTIONS,
+    apiUrl: profile.domain ? `https://${profile.domain}` : DEFAULT_CORS_OPTIONS.apiUrl,
+});
+
+// Component for the section 7.1 CORS builder. 'CodeBlock' is the checklist's command block
+// component, so the generated snippets render and copy like the other Python/bash blocks.
+export default function CorsBuilder({ profile, CodeBlock }) {
+    const [options, setOptions] = useState(() => initialOptions(profile));
+    const set = (key) => (value) => setOptions(prev => ({ ...prev, [key]: value }));
+    const problems = validateCorsOptions(options);
+
+    return (
+        <ToolPanel
+            title="CORS builder"
+            description="Enter the browser origins that call your API. The middleware snippet and the Nginx alternative update as you type; use one of them, not both, or responses carry duplicate headers."
+        >
+            <div className="grid sm:grid-cols-2 gap-4">
+                <TextAreaField label="Frontend origins (one per line)" value={options.origins} onChange={set('origins')} placeholder="https://app.example.com" rows={4} />
+                <div className="space-y-4">
+                    <TextField label="API URL" value={options.apiUrl} onChange={set('apiUrl')} placeholder="https://api.example.com" hint="Used to spot http/https scheme mismatches." />
+                    <TextField label="Allowed methods" value={options.methods} onChange={set('methods')} placeholder="GET, POST" />
+                    <TextField label="Allowed headers" value={options.headers} onChange={set('headers')} placeholder="Authorization, Content-Type" />
+                    <CheckboxField label="Send cookies / Authorization (credentials)" checked={options.credentials} onChange={set('credentials')} />
+                </div>
+            </div>
+            <Warnings warnings={problems} />
+            <span className="inline-block bg-blue-100 text-blue-800 text-xs font-medium mr-2 px-2.5 py-0.5 rounded-full dark:bg-blue-900 dark:text-blue-300">
+                Python (main.py)
+            </span>
+            <CodeBlock commands={generateCorsMiddleware(options)} language="python" />
+            <span className="inline-block bg-blue-100 text-blue-800 text-xs font-medium mr-2 px-2.5 py-0.5 rounded-full dark:bg-blue-900 dark:text-blue-300">
+                Nginx alternative
+            </span>
+            <CodeBlock commands={generateNginxCors(options)} language="nginx" />
+        </ToolPanel>
+    );
+}
@@ -0,0 +1,217 @@
+import React, { useState } from 'react';
+import { copyToClipboard } from '../clipboard.js';
+import { downloadText } from '../download.js';
+import { routeHash } from '../routing.js';
+import { findReference } from '../pitfalls.js';
+import { TOKEN_CLASSES, highlightCode, detectLanguage, languageForPath } from '../syntax.js';
+
+// Shared form controls and output panes for the interactive step tools.
+
+const inputClassName = 'mt-1 w-full p-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 dark:bg-gray-700 dark:text-white dark:placeholder-gray-400 font-mono text-sm';
+
+// Background and text colours of code panes in the light and dark themes
+export const codeSurfaceClassName = 'bg-gray-100 dark:bg-gray-950 text-gray-900 dark:text-gray-50 border border-gray-200 dark:border-gray-800';
+
+// Component for a labelled text input
+export function TextField({ label, value, onChange, placeholder, hint }) {
+    return (
+        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+            {label}
+            <input
+                type="text"
+                value={value}
+                placeholder={placeholder}
+                onChange={(e) => onChange(e.target.value)}
+                className={inputClassName}
+            />
+            {hint && <span className="block mt-1 text-xs font-normal text-gray-500 dark:text-gray-400">{hint}</span>}
+        </label>
+    );
+}
+
+// Component for a labelled select; 'options' is [{ value, label }]
+export function SelectField({ label, value, onChange, options }) {
+    return (
+        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+            {label}
+            <select value={value} onChange={(e) => onChange(e.target.value)} className={inputClassName}>
+                {options.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+            </select>
+        </label>
+    );
+}
+
+// Component for a labelled checkbox
+export function CheckboxField({ label, checked, onChange }) {
+    return (
+        <label className="flex items-center text-sm font-medium text-gray-700 dark:text-gray-300 cursor-pointer">
+            <input
+                type="checkbox"
+                checked={checked}
+                onChange={(e) => onChange(e.target.checked)}
+                className="mr-2 w-4 h-4 accent-blue-600"
+            />
+            {label}
+        </label>
+    );
+}
+
+// Component for a labelled multi-line text area (used for pasted configs and logs)
+export function TextAreaField({ label, value, onChange, placeholder, rows = 10 }) {
+    return (
+        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+            {label}
+            <textarea
+                value={value}
+                placeholder={placeholder}
+                rows={rows}
+                spellCheck={false}
+                onChange={(e) => onChange(e.target.value)}
+                className={`${inputClassName} custom-scrollbar`}
+            />
+        </label>
+    );
+}
+
+// Component listing validation warnings; renders nothing when there are none.
+// Each warning is a string or { level: 'error' | 'warning', message }.
+export function Warnings({ warnings }) {
+    if (!warnings || warnings.length === 0) return null;
+    return (
+        <ul className="my-4 space-y-2">
+            {warnings.map((warning, index) => {
+                const { level = 'warning', message } = typeof warning === 'string' ? { message: warning } : warning;
+                return (
+                    <li
+                        key={index}
+                        className={`text-sm p-2 rounded-lg border-l-4 ${level === 'error'
+                            ? 'bg-red-50 border-red-500 text-red-800 dark:bg-red-950 dark:border-red-600 dark:text-red-200'
+                            : 'bg-yellow-50 border-yellow-500 text-yellow-800 dark:bg-yellow-900 dark:border-yellow-600 dark:text-yellow-200'}`}
+                    >
+                        {message}
+                    </li>
+                );
+            })}
+        </ul>
+    );
+}
+
+// Component rendering highlighted code lines (see syntax.js) with line numbers starting at 'startLine'.
+// 'renderToken(token, key)' can replace how a token is drawn; long lines wrap unless 'wrap' is false.
+export function CodeLines({ lines, startLine = 1, renderToken, wrap = true }) {
+    return lines.map((tokens, index) => (
+        <div key={index} className="flex">
+            <span className="select-none shrink-0 w-8 pr-3 text-right text-gray-400 dark:text-gray-600" aria-hidden="true">{startLine + index}</span>
+            <span className={`flex-1 ${wrap ? 'min-w-0 whitespace-pre-wrap break-words' : 'whitespace-pre'}`}>
+                {tokens.map((token, tokenIndex) => (renderToken
+                    ? renderToken(token, tokenIndex)
+                    : <span key={tokenIndex} className={TOKEN_CLASSES[token.type]}>{token.text}</span>))}
+            </span>
+        </div>
+    ));
+}
+
+// Component for a generated file or command list with Copy and optional Download buttons.
+// The language is taken from 'language', the file path in 'title', or the text itself (default bash).
+export function OutputPane({ title, text, filename, language }) {
+    const [copied, setCopied] = useState(false);
+
+    const handleCopy = () => {
+        copyToClipboard(text, { label: title }).then((ok) => {
+            if (!ok) return;
+            setCopied(true);
+            setTimeout(() => setCopied(false), 2000); // Reset copied state after 2 seconds
+        });
+    };
+
+    return (
+        <div className="my-4">
+            <div className="flex items-center justify-between mb-1 gap-2">
+                <span className="text-sm font-semibold text-gray-700 dark:text-gray-300 font-mono break-all">{title}</span>
+                <div className="flex gap-2 shrink-0">
+                    <button
+                        onClick={handleCopy}
+                        className="px-2 py-1 rounded-lg bg-blue-600 text-white hover:bg-blue-700 transition-colors duration-200 text-xs focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                        {copied ? 'Copied!' : 'Copy'}
+                    </button>
+                    {filename && (
+                        <button
+                            onClick={() => downloadText(filename, text)}
+                            className="px-2 py-1 rounded-lg bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-200 hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors duration-200 text-xs focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        >
+                            Download
+                        </button>
+                    )}
+                </div>
+            </div>
+            <pre className={`${codeSurfaceClassName} rounded-lg p-4 font-mono text-sm overflow-auto custom-scrollbar max-h-96`}>
+                <code>
+                    <CodeLines lines={highlightCode(text, language || languageForPath(title) || detectLanguage(text) || 'bash')} wrap={false} />
+                </code>
+            </pre>
+        </div>
+    );
+}
+
+// Component framing a tool inside a step
+export function ToolPanel({ title, description, children }) {
+    return (
+        <div className="my-6 p-4 rounded-lg border border-blue-200 dark:border-blue-800 bg-blue-50 dark:bg-gray-900">
+            <h3 className="font-semibold text-blue-900 dark:text-blue-200 mb-1">{title}</h3>
+            {description && <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">{description}</p>}
+            {children}
+        </div>
+    );
+}
+
+// Component summarising a pitfall: its fix and a link to it in the checklist.
+// 'pitfall' is { title, fix, stepTitle, route }; 'children' can add details (e.g. matched log lines).
+export function PitfallCard({ pitfall, children }) {
+    return (
+        <div className="my-3 p-3 rounded-lg border-l-4 border-yellow-500 dark:border-yellow-600 bg-yellow-50 dark:bg-yellow-900">
+            <div className="font-semibold text-yellow-900 dark:text-yellow-100">{pitfall.title}</div>
+            <p className="text-sm text-yellow-800 dark:text-yellow-200 mt-1">
+                <span className="font-semibold">Fix:</span> {pitfall.fix}
+            </p>
+            {children}
+            <a href={routeHash(pitfall.route)} className="inline-block mt-2 text-sm text-blue-700 dark:text-blue-300 hover:underline">
+                Open in {pitfall.stepTitle} →
+            </a>
+        </div>
+    );
+}
+
+// Component listing linter findings ({ level, message, line?, file?, ref? }), each linking to the
+// step or pitfall named by 'ref' when 'content' contains it
+export function Findings({ findings, content }) {
+    return (
+        <ul className="my-4 space-y-2">
+            {findings.map((finding, index) => {
+                const reference = finding.ref ? findReference(content, finding.ref) : null;
+                return (
+                    <li
+                        key={index}
+                        className={`text-sm p-2 rounded-lg border-l-4 ${finding.level === 'error'
+                            ? 'bg-red-50 border-red-500 text-red-800 dark:bg-red-950 dark:border-red-600 dark:text-red-200'
+                            : 'bg-yellow-50 border-yellow-500 text-yellow-800 dark:bg-yellow-900 dark:border-yellow-600 dark:text-yellow-200'}`}
+                    >
+                        {finding.line && (
+                            <span className="font-mono font-semibold mr-2">
+                                Line {finding.line}{finding.file ? ` (${finding.file})` : ''}:
+                            </span>
+                        )}
+                        {finding.message}
+                        {reference && (
+                            <a href={routeHash(reference.route)} className="block mt-1 text-blue-700 dark:text-blue-300 hover:underline">
+                                See: {reference.title} →
+                            </a>
+                        )}
+                    </li>
+                );
+            })}
+        </ul>
+    );
+}
@@ -0,0 +1,31 @@
+import NginxBuilder from './nginx-builder.jsx';
+import ProcessManagerBuilder from './process-manager-builder.jsx';
+import CorsBuilder from './cors-builder.jsx';
+import SecurityGroupPlanner from './security-group-planner.jsx';
+import TroubleshootingWizard from './troubleshooting-wizard.jsx';
+import LogAnalyzer from './log-analyzer.jsx';
+import NginxLinter from './nginx-linter.jsx';
+import SystemdLinter from './systemd-linter.jsx';
+import ReleaseScriptBuilder from './release-script-builder.jsx';
+import VerifyReport from './verify-report.jsx';
+
+// Interactive tools embedded in steps by content blocks of type 'tool', keyed by the block's 'tool' id.
+// Tools receive { content, profile, targetOs, pythonVersion, onToggleCompleted, CodeBlock }, where content
+// is the full checklist, CodeBlock renders commands like a 'command' block and onToggleCompleted(key, done)
+// updates checklist progress. Tools get the content as a prop rather than importing src/content, because
+// the content schema imports this registry to validate 'tool' blocks.
+export const STEP_TOOLS = {
+    'nginx-builder': NginxBuilder,
+    'process-manager-builder': ProcessManagerBuilder,
+    'cors-builder': CorsBuilder,
+    'security-group-planner': SecurityGroupPlanner,
+    'troubleshooting-wizard': TroubleshootingWizard,
+    'log-analyzer': LogAnalyzer,
+    'nginx-linter': NginxLinter,
+    'systemd-linter': SystemdLinter,
+    'release-script-builder': ReleaseScriptBuilder,
+    'verify-report': VerifyReport,
+};
+
+// Tool ids accepted in 'tool' content blocks
+export const TOOL_IDS = Object.keys(STEP_TOOLS);
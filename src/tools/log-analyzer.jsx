@@ -0,0 +1,48 @@
+import React, { useState, useMemo } from 'react';
+import { filterContentForOs } from '../platforms.js';
+import { analyzeLog } from '../log-analyzer.js';
+import { ToolPanel, TextAreaField, PitfallCard, codeSurfaceClassName } from './fields.jsx';
+
+// Component for the section 8.1 log analyzer: paste log output, get the pitfalls whose
+// signatures it matches, most likely first.
+export default function LogAnalyzer({ content, targetOs }) {
+    const [text, setText] = useState('');
+    const osContent = useMemo(() => filterContentForOs(content, targetOs), [content, targetOs]);
+    const results = useMemo(() => analyzeLog(osContent, text), [osContent, text]);
+    const topScore = results.length > 0 ? results[0].score : 0;
+
+    return (
+        <ToolPanel
+            title="Log analyzer"
+            description="Nothing leaves your browser; the text is only matched against the signatures of known pitfalls."
+        >
+            <TextAreaField
+                label="Log output"
+                value={text}
+                onChange={setText}
+                placeholder={'journalctl -u fastapi@ec2-user -n 100 --no-pager\nsudo tail -n 50 /var/log/nginx/error.log'}
+                rows={8}
+            />
+            {text.trim() !== '' && results.length === 0 && (
+                <p className="mt-4 text-sm text-gray-700 dark:text-gray-300">
+                    No known signature matched. Look for the first error or traceback after the service started; the later lines are usually consequences.
+                </p>
+            )}
+            {results.length > 0 && (
+                <div className="mt-4">
+                    <p className="font-medium text-gray-800 dark:text-gray-100">Likely causes</p>
+                    {results.map(result => (
+                        <PitfallCard key={result.pitfall.id} pitfall={result.pitfall}>
+                            <p className="text-xs text-yellow-800 dark:text-yellow-200 mt-2">
+                                {result.score === topScore ? 'Best match' : 'Also matched'} on:
+                            </p>
+                            <pre className={`${codeSurfaceClassName} mt-1 p-2 rounded text-xs font-mono overflow-x-auto custom-scrollbar whitespace-pre`}>
+                                {result.lines.join('\n')}
+                            </pre>
+                        </PitfallCard>
+                    ))}
+                </div>
+            )}
+        </ToolPanel>
+    );
+}
@@ -0,0 +1,59 @@
+import React, { useState } from 'react';
+import { DEFAULT_NGINX_OPTIONS, generateNginxConfig } from '../generators/nginx.js';
+import { ALL_OS } from '../platforms.js';
+import { ToolPanel, TextField, SelectField, CheckboxField, Warnings, OutputPane } from './fields.jsx';
+
+const OS_CHOICES = [
+    { value: 'ubuntu', label: 'Ubuntu (sites-available)' },
+    { value: 'al2023', label: 'Amazon Linux 2023 (conf.d)' },
+];
+
+const UPSTREAM_CHOICES = [
+    { value: 'port', label: 'TCP port on 127.0.0.1' },
+    { value: 'socket', label: 'Unix socket' },
+];
+
+// Initial builder options, seeded from the deployment profile and target OS
+const initialOptions = (profile, targetOs) => ({
+    ...DEFAULT_NGINX_OPTIONS,
+    os: targetOs && targetOs !== ALL_OS ? targetOs : DEFAULT_NGINX_OPTIONS.os,
+    domains: profile.domain ? `${profile.domain} www.${profile.domain}` : '',
+    port: profile.port || DEFAULT_NGINX_OPTIONS.port,
+    staticPath: profile.appDir ? `${profile.appDir.replace(/\/+$/, '')}/static/` : '',
+});
+
+// Component for the step 6.1 Nginx server block builder
+export default function NginxBuilder({ profile, targetOs }) {
+    const [options, setOptions] = useState(() => initialOptions(profile, targetOs));
+    const set = (key) => (value) => setOptions(prev => ({ ...prev, [key]: value }));
+    const { path, config, commands, warnings } = generateNginxConfig(options);
+
+    return (
+        <ToolPanel
+            title="Nginx config builder"
+            description="Describe your setup and copy the generated server block and the commands that install and enable it."
+        >
+            <div className="grid sm:grid-cols-2 gap-4">
+                <SelectField label="Distribution" value={options.os} onChange={set('os')} options={OS_CHOICES} />
+                <TextField label="Domain(s)" value={options.domains} onChange={set('domains')} placeholder="example.com www.example.com" hint="Leave empty to answer on any host name (server_name _)." />
+                <SelectField label="Upstream" value={options.upstream} onChange={set('upstream')} options={UPSTREAM_CHOICES} />
+                {options.upstream === 'port' ? (
+                    <TextField label="Upstream port" value={options.port} onChange={set('port')} placeholder="8000" />
+                ) : (
+                    <TextField label="Socket path" value={options.socketPath} onChange={set('socketPath')} placeholder="/run/fastapi/fastapi.sock" />
+                )}
+                <TextField label="Static files path" value={options.staticPath} onChange={set('staticPath')} placeholder="/home/ubuntu/app/static/" hint="Served at /static/. Leave empty to skip." />
+                <TextField label="client_max_body_size" value={options.clientMaxBodySize} onChange={set('clientMaxBodySize')} placeholder="10m" />
+            </div>
+            <div className="grid sm:grid-cols-2 gap-2 mt-4">
+                <CheckboxField label="WebSocket upgrade headers" checked={options.websockets} onChange={set('websockets')} />
+                <CheckboxField label="gzip compression" checked={options.gzip} onChange={set('gzip')} />
+                <CheckboxField label="TLS with Certbot-managed certificates" checked={options.tls} onChange={set('tls')} />
+                <CheckboxField label="Redirect HTTP to HTTPS" checked={options.httpsRedirect} onChange={set('httpsRedirect')} />
+            </div>
+            <Warnings warnings={warnings} />
+            <OutputPane title={path} text={config} filename={path.split('/').pop()} />
+            <OutputPane title="Install and enable" text={commands.join('\n')} />
+        </ToolPanel>
+    );
+}
@@ -0,0 +1,36 @@
+import React, { useState, useMemo } from 'react';
+import { filterContentForOs } from '../platforms.js';
+import { lintNginxConfig } from '../linters/nginx.js';
+import { ToolPanel, TextAreaField, Findings } from './fields.jsx';
+
+// Component for the step 6.1 Nginx config linter: paste a site file or the output of
+// 'sudo nginx -T' and get the problems that usually end in a 502 or a wrong site answering.
+export default function NginxLinter({ content, profile, targetOs }) {
+    const [text, setText] = useState('');
+    const osContent = useMemo(() => filterContentForOs(content, targetOs), [content, targetOs]);
+    const findings = useMemo(
+        () => (text.trim() === '' ? [] : lintNginxConfig(text, { port: profile.port, domain: profile.domain })),
+        [text, profile.port, profile.domain],
+    );
+
+    return (
+        <ToolPanel
+            title="Nginx config linter"
+            description="Paste your site config, or the output of 'sudo nginx -T' to check every enabled site at once. It is checked against the app port and domain from your profile."
+        >
+            <TextAreaField
+                label="Nginx configuration"
+                value={text}
+                onChange={setText}
+                placeholder={'server {\n    listen 80;\n    server_name example.com;\n    location / {\n        proxy_pass http://127.0.0.1:8000;\n    }\n}'}
+                rows={10}
+            />
+            {text.trim() !== '' && findings.length === 0 && (
+                <p className="mt-4 text-sm text-green-700 dark:text-green-300">
+                    No problems found. Run 'sudo nginx -t' before reloading to catch anything this linter doesn't know about.
+                </p>
+            )}
+            {findings.length > 0 && <Findings findings={findings} content={osContent} />}
+        </ToolPanel>
+    );
+}
@@ -0,0 +1,64 @@
+import React, { useState } from 'react';
+import { DEFAULT_PROCESS_OPTIONS, SERVER_CHOICES, RESTART_POLICIES, generateProcessManagerFiles } from '../generators/process-manager.js';
+import { ALL_OS } from '../platforms.js';
+import { ToolPanel, TextField, SelectField, Warnings, OutputPane } from './fields.jsx';
+
+const OS_CHOICES = [
+    { value: 'ubuntu', label: 'Ubuntu (supervisor/conf.d)' },
+    { value: 'al2023', label: 'Amazon Linux 2023 (supervisord.d)' },
+];
+
+const HOST_CHOICES = [
+    { value: '127.0.0.1', label: '127.0.0.1 (behind Nginx)' },
+    { value: '0.0.0.0', label: '0.0.0.0 (direct access)' },
+];
+
+// Initial options, seeded from the deployment profile and target OS
+const initialOptions = (profile, targetOs) => {
+    const user = profile.osUser || DEFAULT_PROCESS_OPTIONS.user;
+    const appDir = (profile.appDir || `/home/${user}/app`).replace(/\/+$/, '');
+    return {
+        ...DEFAULT_PROCESS_OPTIONS,
+        os: targetOs && targetOs !== ALL_OS ? targetOs : DEFAULT_PROCESS_OPTIONS.os,
+        user,
+        appDir,
+        venvPath: `${appDir}/.venv`,
+        asgiModule: profile.asgiModule || DEFAULT_PROCESS_OPTIONS.asgiModule,
+        port: profile.port || DEFAULT_PROCESS_OPTIONS.port,
+        workers: profile.workers || DEFAULT_PROCESS_OPTIONS.workers,
+    };
+};
+
+// Component for the step 6.3 systemd / Supervisord unit generator
+export default function ProcessManagerBuilder({ profile, targetOs }) {
+    const [options, setOptions] = useState(() => initialOptions(profile, targetOs));
+    const set = (key) => (value) => setOptions(prev => ({ ...prev, [key]: value }));
+    const { problems, systemd, supervisor } = generateProcessManagerFiles(options);
+
+    return (
+        <ToolPanel
+            title="Process manager unit generator"
+            description="Generates a matching systemd unit and Supervisord program, and checks the paths and settings the pitfalls below warn about."
+        >
+            <div className="grid sm:grid-cols-2 gap-4">
+                <SelectField label="Distribution" value={options.os} onChange={set('os')} options={OS_CHOICES} />
+                <TextField label="Service name" value={options.serviceName} onChange={set('serviceName')} placeholder="fastapi" />
+                <TextField label="OS user" value={options.user} onChange={set('user')} placeholder="ec2-user" />
+                <TextField label="App directory" value={options.appDir} onChange={set('appDir')} placeholder="/home/ec2-user/app" />
+                <TextField label="Virtualenv path" value={options.venvPath} onChange={set('venvPath')} placeholder="/home/ec2-user/app/.venv" />
+                <TextField label="ASGI module" value={options.asgiModule} onChange={set('asgiModule')} placeholder="main:app" />
+                <SelectField label="Server" value={options.server} onChange={set('server')} options={SERVER_CHOICES} />
+                <SelectField label="Bind address" value={options.host} onChange={set('host')} options={HOST_CHOICES} />
+                <TextField label="Port" value={options.port} onChange={set('port')} placeholder="8000" />
+                <TextField label="Workers" value={options.workers} onChange={set('workers')} placeholder="2" />
+                <SelectField label="Restart= policy" value={options.restart} onChange={set('restart')} options={RESTART_POLICIES} />
+                <TextField label="EnvironmentFile (optional)" value={options.environmentFile} onChange={set('environmentFile')} placeholder="/etc/fastapi/fastapi.env" hint="Keeps secrets out of the unit file." />
+            </div>
+            <Warnings warnings={problems} />
+            <OutputPane title={systemd.path} text={systemd.content} filename={systemd.path.split('/').pop()} />
+            <OutputPane title="Load the systemd unit" text={systemd.commands.join('\n')} />
+            <OutputPane title={supervisor.path} text={supervisor.content} filename={supervisor.path.split('/').pop()} />
+            <OutputPane title="Load the Supervisord program" text={supervisor.commands.join('\n')} />
+        </ToolPanel>
+    );
+}
@@ -0,0 +1,47 @@
+import React, { useState } from 'react';
+import { DEFAULT_RELEASE_OPTIONS, generateReleaseFiles } from '../generators/release.js';
+import { pythonInterpreter } from '../python.js';
+import { ToolPanel, TextField, Warnings, OutputPane } from './fields.jsx';
+
+// Initial options, seeded from the deployment profile and the selected Python version
+const initialOptions = (profile, targetOs, pythonVersion) => {
+    const user = profile.osUser || DEFAULT_RELEASE_OPTIONS.user;
+    return {
+        ...DEFAULT_RELEASE_OPTIONS,
+        user,
+        appDir: (profile.appDir || `/home/${user}/app`).replace(/\/+$/, ''),
+        serviceName: `fastapi@${user}`,
+        python: pythonInterpreter(pythonVersion, targetOs),
+        port: profile.port || DEFAULT_RELEASE_OPTIONS.port,
+    };
+};
+
+// Component for the step 6.4 release script generator
+export default function ReleaseScriptBuilder({ profile, targetOs, pythonVersion }) {
+    const [options, setOptions] = useState(() => initialOptions(profile, targetOs, pythonVersion));
+    const set = (key) => (value) => setOptions(prev => ({ ...prev, [key]: value }));
+    const { problems, script, setupCommands } = generateReleaseFiles(options);
+
+    return (
+        <ToolPanel
+            title="Release script generator"
+            description="Generates release.sh: a fresh checkout per release, a 'current' symlink flip, a restart and a health check that rolls back to the previous release if the app doesn't come up."
+        >
+            <div className="grid sm:grid-cols-2 gap-4">
+                <TextField label="Repository URL" value={options.repoUrl} onChange={set('repoUrl')} placeholder="https://github.com/your-org/your-repo.git" />
+                <TextField label="Default branch or tag" value={options.branch} onChange={set('branch')} placeholder="main" hint="Override per release: ./release.sh v1.2.0" />
+                <TextField label="App directory" value={options.appDir} onChange={set('appDir')} placeholder="/home/ec2-user/app" />
+                <TextField label="OS user" value={options.user} onChange={set('user')} placeholder="ec2-user" />
+                <TextField label="Service" value={options.serviceName} onChange={set('serviceName')} placeholder="fastapi@ec2-user" />
+                <TextField label="Python interpreter" value={options.python} onChange={set('python')} placeholder="python3.9" />
+                <TextField label="Port" value={options.port} onChange={set('port')} placeholder="8000" />
+                <TextField label="Health check path" value={options.healthPath} onChange={set('healthPath')} placeholder="/docs" />
+                <TextField label="Health check timeout (seconds)" value={options.healthTimeout} onChange={set('healthTimeout')} placeholder="60" />
+                <TextField label="Releases to keep" value={options.keepReleases} onChange={set('keepReleases')} placeholder="5" />
+            </div>
+            <Warnings warnings={problems} />
+            <OutputPane title="release.sh" text={script} filename="release.sh" language="bash" />
+            <OutputPane title="One-time setup" text={setupCommands.join('\n')} language="bash" />
+        </ToolPanel>
+    );
+}
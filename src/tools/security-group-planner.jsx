@@ -0,0 +1,112 @@
+import React, { useState, useEffect } from 'react';
+import { ANYWHERE_V4, loadSecurityGroupPlan, saveSecurityGroupPlan, planSecurityGroups } from '../generators/security-groups.js';
+import { ToolPanel, TextField, Warnings, OutputPane } from './fields.jsx';
+
+const cellInputClassName = 'w-full p-1.5 border border-gray-300 dark:border-gray-600 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 dark:bg-gray-700 dark:text-white font-mono text-sm';
+
+// Source select value for a rule's cidr
+const sourceKind = (cidr) => {
+    if (cidr === ANYWHERE_V4) return 'anywhere';
+    if (cidr === 'MY_IP') return 'myip';
+    return 'custom';
+};
+
+// Component for the inbound rule table of one phase
+function RuleTable({ rules, onChange }) {
+    const update = (index, changes) => onChange(rules.map((rule, i) => (i === index ? { ...rule, ...changes } : rule)));
+
+    return (
+        <table className="w-full text-sm">
+            <thead>
+                <tr className="text-left text-gray-600 dark:text-gray-400">
+                    <th className="py-1 pr-2 font-medium">Port</th>
+                    <th className="py-1 pr-2 font-medium">Source</th>
+                    <th className="py-1 pr-2 font-medium">Description</th>
+                    <th className="py-1"><span className="sr-only">Remove</span></th>
+                </tr>
+            </thead>
+            <tbody>
+                {rules.map((rule, index) => (
+                    <tr key={index}>
+                        <td className="py-1 pr-2 w-24">
+                            <input className={cellInputClassName} value={rule.port} onChange={(e) => update(index, { port: e.target.value })} aria-label="Port" />
+                        </td>
+                        <td className="py-1 pr-2">
+                            <div className="flex gap-2">
+                                <select
+                                    className={cellInputClassName}
+                                    value={sourceKind(rule.cidr)}
+                                    onChange={(e) => update(index, { cidr: { anywhere: ANYWHERE_V4, myip: 'MY_IP', custom: '' }[e.target.value] })}
+                                    aria-label="Source"
+                                >
+                                    <option value="anywhere">Anywhere (0.0.0.0/0)</option>
+                                    <option value="myip">My IP</option>
+                                    <option value="custom">Custom CIDR</option>
+                                </select>
+                                {sourceKind(rule.cidr) === 'custom' && (
+                                    <input className={cellInputClassName} value={rule.cidr} placeholder="10.0.0.0/16" onChange={(e) => update(index, { cidr: e.target.value })} aria-label="Custom CIDR" />
+                                )}
+                            </div>
+                        </td>
+                        <td className="py-1 pr-2">
+                            <input className={cellInputClassName} value={rule.description} onChange={(e) => update(index, { description: e.target.value })} aria-label="Description" />
+                        </td>
+                        <td className="py-1 text-right">
+                            <button
+                                onClick={() => onChange(rules.filter((_, i) => i !== index))}
+                                className="px-2 py-1 rounded-md text-xs bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-200 hover:bg-red-100 dark:hover:bg-red-900 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                aria-label={`Remove rule for port ${rule.port}`}
+                            >
+                                ✕
+                            </button>
+                        </td>
+                    </tr>
+                ))}
+            </tbody>
+        </table>
+    );
+}
+
+// Component for the step 2.2 security group rule planner
+export default function SecurityGroupPlanner({ profile }) {
+    const [plan, setPlan] = useState(loadSecurityGroupPlan);
+    const set = (key) => (value) => setPlan(prev => ({ ...prev, [key]: value }));
+    const setPhaseRules = (phaseId) => (rules) => setPlan(prev => ({ ...prev, phases: { ...prev.phases, [phaseId]: rules } }));
+    const phases = planSecurityGroups(plan, profile.port);
+
+    // Effect to save the plan, so it survives reloads and feeds the Terraform/CloudFormation export
+    useEffect(() => {
+        saveSecurityGroupPlan(plan);
+    }, [plan]);
+
+    return (
+        <ToolPanel
+            title="Security group planner"
+            description="Plan the inbound rules for each phase of the checklist and copy the AWS CLI commands that move your security group from one phase to the next."
+        >
+            <div className="grid sm:grid-cols-3 gap-4">
+                <TextField label="Security group id" value={plan.groupId} onChange={set('groupId')} placeholder="sg-0123456789abcdef0" />
+                <TextField label="Region (optional)" value={plan.region} onChange={set('region')} placeholder="us-east-1" />
+                <TextField label="My IP" value={plan.myIp} onChange={set('myIp')} placeholder="203.0.113.10/32" hint="curl -s https://checkip.amazonaws.com, then add /32" />
+            </div>
+            {phases.map((phase, index) => (
+                <div key={phase.id} className="mt-6 pt-4 border-t border-blue-200 dark:border-blue-800">
+                    <h4 className="font-semibold text-gray-800 dark:text-gray-100">{phase.label}</h4>
+                    <p className="text-sm text-gray-600 dark:text-gray-400 mb-2">{phase.description}</p>
+                    <RuleTable rules={phase.rules} onChange={setPhaseRules(phase.id)} />
+                    <button
+                        onClick={() => setPhaseRules(phase.id)([...phase.rules, { port: '', cidr: ANYWHERE_V4, description: '' }])}
+                        className="mt-2 px-3 py-1 rounded-lg text-xs bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-200 hover:bg-gray-300 dark:hover:bg-gray-600 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                        Add rule
+                    </button>
+                    <Warnings warnings={phase.problems} />
+                    <OutputPane
+                        title={index === 0 ? 'Create the initial rules' : `Transition from "${phases[index - 1].label}"`}
+                        text={phase.commands.length > 0 ? phase.commands.join('\n') : '# No changes'}
+                    />
+                </div>
+            ))}
+        </ToolPanel>
+    );
+}
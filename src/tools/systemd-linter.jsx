@@ -0,0 +1,36 @@
+import React, { useState, useMemo } from 'react';
+import { filterContentForOs } from '../platforms.js';
+import { lintSystemdUnit } from '../linters/systemd.js';
+import { ToolPanel, TextAreaField, Findings } from './fields.jsx';
+
+// Component for the step 6.3 systemd unit linter: paste a .service file and get the
+// problems behind the usual 203/EXEC failures, missing variables and exposed ports.
+export default function SystemdLinter({ content, profile, targetOs }) {
+    const [text, setText] = useState('');
+    const osContent = useMemo(() => filterContentForOs(content, targetOs), [content, targetOs]);
+    const findings = useMemo(
+        () => (text.trim() === '' ? [] : lintSystemdUnit(text, { port: profile.port })),
+        [text, profile.port],
+    );
+
+    return (
+        <ToolPanel
+            title="systemd unit linter"
+            description="Paste your .service file, or the output of 'systemctl cat fastapi@ec2-user'. It is checked against the app port from your profile."
+        >
+            <TextAreaField
+                label="Service unit"
+                value={text}
+                onChange={setText}
+                placeholder={'[Unit]\nAfter=network-online.target\n\n[Service]\nUser=%i\nWorkingDirectory=/home/%i/app\nExecStart=/home/%i/app/.venv/bin/uvicorn main:app --host 127.0.0.1 --port 8000'}
+                rows={10}
+            />
+            {text.trim() !== '' && findings.length === 0 && (
+                <p className="mt-4 text-sm text-green-700 dark:text-green-300">
+                    No problems found. After changing the unit, run 'sudo systemctl daemon-reload' before restarting the service.
+                </p>
+            )}
+            {findings.length > 0 && <Findings findings={findings} content={osContent} />}
+        </ToolPanel>
+    );
+}
@@ -0,0 +1,104 @@
+import React, { useState, useMemo } from 'react';
+import { filterContentForOs } from '../platforms.js';
+import { buildTroubleshootingTree } from '../troubleshooting.js';
+import { ToolPanel, PitfallCard } from './fields.jsx';
+
+const optionClassName = 'block w-full text-left px-3 py-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 text-gray-800 dark:text-gray-100 hover:bg-blue-50 dark:hover:bg-gray-700 focus:outline-none focus:ring-2 focus:ring-blue-500';
+const secondaryButtonClassName = 'px-3 py-1 rounded-lg text-xs bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-200 hover:bg-gray-300 dark:hover:bg-gray-600 focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+// Component for the section 8.1 troubleshooting wizard. The tree comes from the 'symptoms'
+// declared on pitfalls, so only pitfalls visible for the target OS are offered.
+export default function TroubleshootingWizard({ content, profile, targetOs, CodeBlock }) {
+    const tree = useMemo(() => buildTroubleshootingTree(filterContentForOs(content, targetOs)), [content, targetOs]);
+    // Position in the tree: the chosen symptom, the diagnostic being asked and the chosen outcome
+    const [symptomIndex, setSymptomIndex] = useState(null);
+    const [diagnosticIndex, setDiagnosticIndex] = useState(0);
+    const [outcomeIndex, setOutcomeIndex] = useState(null);
+
+    const restart = () => {
+        setSymptomIndex(null);
+        setDiagnosticIndex(0);
+        setOutcomeIndex(null);
+    };
+
+    const branch = symptomIndex !== null ? tree[symptomIndex] : null;
+    const diagnostic = branch ? branch.diagnostics[diagnosticIndex] : null;
+    const outcome = diagnostic && outcomeIndex !== null ? diagnostic.outcomes[outcomeIndex] : null;
+
+    let body;
+    if (!branch) {
+        body = (
+            <>
+                <p className="font-medium text-gray-800 dark:text-gray-100 mb-2">What are you seeing?</p>
+                <div className="space-y-2">
+                    {tree.map((entry, index) => (
+                        <button key={entry.symptom} onClick={() => setSymptomIndex(index)} className={optionClassName}>
+                            {entry.symptom}
+                        </button>
+                    ))}
+                </div>
+            </>
+        );
+    } else if (outcome) {
+        body = (
+            <>
+                <p className="text-sm text-gray-600 dark:text-gray-400">
+                    <span className="font-mono">{diagnostic.command}</span> showed: {outcome.result}
+                </p>
+                <p className="font-medium text-gray-800 dark:text-gray-100 mt-3">Likely cause{outcome.pitfalls.length > 1 ? 's' : ''}:</p>
+                {outcome.pitfalls.map(pitfall => <PitfallCard key={pitfall.id} pitfall={pitfall} />)}
+            </>
+        );
+    } else if (diagnostic) {
+        body = (
+            <>
+                <p className="text-sm text-gray-600 dark:text-gray-400">
+                    Check {diagnosticIndex + 1} of {branch.diagnostics.length}: {diagnostic.label}
+                </p>
+                <CodeBlock commands={[diagnostic.command]} profile={profile} />
+                <p className="font-medium text-gray-800 dark:text-gray-100 mb-2">What does it show?</p>
+                <div className="space-y-2">
+                    {diagnostic.outcomes.map((entry, index) => (
+                        <button key={entry.result} onClick={() => setOutcomeIndex(index)} className={optionClassName}>
+                            {entry.result}
+                        </button>
+                    ))}
+                    <button onClick={() => setDiagnosticIndex(diagnosticIndex + 1)} className={`${optionClassName} text-gray-500 dark:text-gray-400`}>
+                        None of these
+                    </button>
+                </div>
+            </>
+        );
+    } else {
+        body = (
+            <p className="text-gray-700 dark:text-gray-300">
+                None of the known causes match. Follow the service logs with the journalctl or Supervisord command above and look for the first error after startup.
+            </p>
+        );
+    }
+
+    return (
+        <ToolPanel
+            title="Troubleshooting wizard"
+            description="Pick the symptom, run each suggested command on the instance and choose what it printed."
+        >
+            {branch && (
+                <div className="flex items-center justify-between gap-2 mb-3">
+                    <span className="text-sm font-semibold text-gray-800 dark:text-gray-100">{branch.symptom}</span>
+                    <div className="flex gap-2 shrink-0">
+                        {(outcomeIndex !== null || diagnosticIndex > 0) && (
+                            <button
+                                onClick={() => (outcomeIndex !== null ? setOutcomeIndex(null) : setDiagnosticIndex(diagnosticIndex - 1))}
+                                className={secondaryButtonClassName}
+                            >
+                                Back
+                            </button>
+                        )}
+                        <button onClick={restart} className={secondaryButtonClassName}>Start over</button>
+                    </div>
+                </div>
+            )}
+            {body}
+        </ToolPanel>
+    );
+}
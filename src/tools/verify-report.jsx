@@ -0,0 +1,87 @@
+import React, { useState, useMemo } from 'react';
+import { parseVerifyReport, verifiedKeys } from '../generators/verify.js';
+import { ToolPanel, TextAreaField, Warnings } from './fields.jsx';
+
+// Parse the pasted text into { report } or { error }
+const readReport = (text) => {
+    if (text.trim() === '') return {};
+    try {
+        return { report: parseVerifyReport(text) };
+    } catch (err) {
+        return { error: err.message };
+    }
+};
+
+// Component for the step 10.1 verify.sh report: paste the JSON report and mark the steps
+// and command blocks whose checks all passed as complete.
+export default function VerifyReport({ onToggleCompleted }) {
+    const [text, setText] = useState('');
+    const [markedCount, setMarkedCount] = useState(null);
+    const { report, error } = useMemo(() => readReport(text), [text]);
+    const keys = useMemo(() => (report ? verifiedKeys(report.checks) : []), [report]);
+
+    const handleChange = (value) => {
+        setText(value);
+        setMarkedCount(null);
+    };
+
+    const markComplete = () => {
+        keys.forEach(key => onToggleCompleted(key, true));
+        setMarkedCount(keys.length);
+    };
+
+    return (
+        <ToolPanel
+            title="Verification report"
+            description="Export verify.sh (Export → Verify script), run 'bash verify.sh --json' on the instance and paste the contents of verify-report.json here. Steps and command blocks whose checks all passed can then be marked done."
+        >
+            <TextAreaField
+                label="verify-report.json"
+                value={text}
+                onChange={handleChange}
+                placeholder={'{\n  "version": 2,\n  "passed": 6,\n  "failed": 0,\n  "checks": [ ... ]\n}'}
+                rows={8}
+            />
+            {error && <Warnings warnings={[{ level: 'error', message: error }]} />}
+            {report && (
+                <div className="mt-4">
+                    <p className="text-sm text-gray-700 dark:text-gray-300 mb-2">
+                        {report.passed} passed, {report.failed} failed{report.host && ` on ${report.host}`}.
+                    </p>
+                    <ul className="space-y-1 text-sm font-mono">
+                        {report.checks.map(check => (
+                            <li key={check.id || `${check.block}/${check.label}`} className="flex gap-2">
+                                <span className={`shrink-0 w-10 font-semibold ${check.status === 'pass' ? 'text-green-700 dark:text-green-300' : 'text-red-700 dark:text-red-300'}`}>
+                                    {check.status === 'pass' ? 'PASS' : 'FAIL'}
+                                </span>
+                                <span className="text-gray-800 dark:text-gray-200 break-all">
+                                    {check.label}
+                                    {check.status === 'fail' && check.actual && (
+                                        <span className="text-gray-500 dark:text-gray-400"> (expected {check.expected}, got {check.actual})</span>
+                                    )}
+                                </span>
+                            </li>
+                        ))}
+                    </ul>
+                    <button
+                        onClick={markComplete}
+                        disabled={keys.length === 0}
+                        className="mt-4 px-3 py-1.5 rounded-lg text-sm bg-green-600 text-white hover:bg-green-700 transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                        Mark verified steps done
+                    </button>
+                    {markedCount !== null && (
+                        <span className="ml-3 text-sm text-green-700 dark:text-green-300">
+                            Marked {markedCount} {markedCount === 1 ? 'item' : 'items'} done.
+                        </span>
+                    )}
+                    {keys.length === 0 && (
+                        <span className="ml-3 text-sm text-gray-600 dark:text-gray-400">
+                            Nothing to mark: no step or command block passed all of its checks.
+                        </span>
+                    )}
+                </div>
+            )}
+        </ToolPanel>
+    );
+}
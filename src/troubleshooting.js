@@ -0,0 +1,66 @@
+// Troubleshooting decision tree, generated from the 'symptoms' declared on pitfalls.
+// Each symptom entry names what the user sees, a diagnostic command from step 8.1 and the
+// result of that command which points at the pitfall:
+//   { "symptom": "Nginx returns 502 Bad Gateway",
+//     "diagnostic": "ss -ltnp | grep 8000",
+//     "result": "Nothing is listening on port 8000" }
+// Pitfalls sharing a symptom string form one branch; its diagnostics are asked in step 8.1 order.
+
+import { listPitfalls } from './pitfalls.js';
+
+// Step whose command block holds the diagnostic commands
+export const DIAGNOSTICS_STEP_ID = 'common-troubleshooting';
+
+// Diagnostic commands of step 8.1 in order, each labelled by the comment line above it:
+// [{ command, label }]. Tolerates malformed content, since the schema validator uses it too.
+export const diagnosticCommands = (content) => {
+    const diagnostics = [];
+    content.forEach(mainSection => mainSection.sections
+        .filter(step => step && step.id === DIAGNOSTICS_STEP_ID && Array.isArray(step.contentBlocks))
+        .forEach(step => step.contentBlocks
+            .filter(block => block && block.type === 'command' && Array.isArray(block.commands))
+            .forEach((block) => {
+                let label = '';
+                block.commands.filter(line => typeof line === 'string').forEach((line) => {
+                    const trimmed = line.trim();
+                    if (trimmed.startsWith('#')) {
+                        label = trimmed.replace(/^#\s*/, '');
+                    } else if (trimmed !== '') {
+                        diagnostics.push({ command: trimmed, label });
+                    }
+                });
+            })));
+    return diagnostics;
+};
+
+// Build the tree: [{ symptom, diagnostics: [{ command, label, outcomes: [{ result, pitfalls }] }] }]
+// where each pitfall is { id, title, fix, stepTitle, route }. Symptoms keep the order in which
+// they first appear in the content; symptoms whose diagnostic isn't in step 8.1 are skipped.
+export const buildTroubleshootingTree = (content) => {
+    const diagnostics = diagnosticCommands(content);
+    const order = diagnostics.map(diagnostic => diagnostic.command);
+    const symptoms = new Map();
+
+    listPitfalls(content)
+        .filter(({ block }) => Array.isArray(block.symptoms))
+        .forEach(({ block, ...pitfall }) => block.symptoms.forEach(({ symptom, diagnostic, result }) => {
+            if (!order.includes(diagnostic)) return;
+            if (!symptoms.has(symptom)) symptoms.set(symptom, new Map());
+            const byDiagnostic = symptoms.get(symptom);
+            if (!byDiagnostic.has(diagnostic)) byDiagnostic.set(diagnostic, new Map());
+            const byResult = byDiagnostic.get(diagnostic);
+            if (!byResult.has(result)) byResult.set(result, []);
+            byResult.get(result).push(pitfall);
+        }));
+
+    return [...symptoms.entries()].map(([symptom, byDiagnostic]) => ({
+        symptom,
+        diagnostics: [...byDiagnostic.entries()]
+            .sort(([a], [b]) => order.indexOf(a) - order.indexOf(b))
+            .map(([command, byResult]) => ({
+                command,
+                label: diagnostics.find(diagnostic => diagnostic.command === command).label,
+                outcomes: [...byResult.entries()].map(([result, pitfalls]) => ({ result, pitfalls })),
+            })),
+    }));
+};
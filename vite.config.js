@@ -1,9 +1,32 @@
 import { defineConfig } from "vite";
 import react from "@vitejs/plugin-react";
+import { readFileSync, readdirSync } from "node:fs";
+import { createHash } from "node:crypto";
+
+// Emits sw.js from src/service-worker.js with the built files to precache and a cache
+// version derived from their names, so each deploy replaces the previous offline copy.
+// Only .woff2 fonts are precached; every browser that supports service workers uses them.
+const serviceWorker = () => ({
+  name: "service-worker",
+  apply: "build",
+  enforce: "post",
+  generateBundle(options, bundle) {
+    const files = [
+      "./",
+      ...readdirSync("public"),
+      ...Object.keys(bundle).filter((file) => !file.endsWith(".html") && !file.endsWith(".woff")),
+    ];
+    const version = createHash("sha256").update(files.join("\n")).digest("hex").slice(0, 12);
+    const source = readFileSync("src/service-worker.js", "utf8")
+      .replace(/const CACHE_VERSION = '[^']*';/, `const CACHE_VERSION = '${version}';`)
+      .replace(/const PRECACHE_FILES = \[\];/, `const PRECACHE_FILES = ${JSON.stringify(files)};`);
+    this.emitFile({ type: "asset", fileName: "sw.js", source });
+  },
+});
 
 // https://vitejs.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
   // Ensure that 'index.html' is expected at the project root by Vite's defaults.
   // If your public folder contains other assets, they will still be served.
   // The 'root' property explicitly sets the project's root directory.